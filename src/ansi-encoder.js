@@ -0,0 +1,158 @@
+/**
+ * ANSI Encoder
+ * Turns VirtualTerminal cells back into escape sequences: SGR changes between attribute
+ * sets and the rows of a screen, used by VirtualTerminal.toAnsi()
+ */
+
+import { ANSI_COLOR_NAMES, DEFAULT_COLOR } from './terminal-colors.js';
+
+const ESC = '\x1B';
+
+const UNDERLINE_PARAMS = {
+  single: '4',
+  double: '4:2',
+  curly: '4:3',
+  dotted: '4:4',
+  dashed: '4:5'
+};
+
+const BLINK_PARAMS = { slow: '5', rapid: '6' };
+
+// On/off SGR parameters of the boolean attributes
+const FLAG_PARAMS = [
+  ['italic', '3', '23'],
+  ['reverse', '7', '27'],
+  ['hidden', '8', '28'],
+  ['strikethrough', '9', '29'],
+  ['overline', '53', '55']
+];
+
+// SGR parameters selecting a color: base is 30 (foreground), 40 (background) or 50 (underline)
+function colorParams(color, base) {
+  if (color === DEFAULT_COLOR || color === undefined) {
+    return String(base + 9);
+  }
+
+  const index = typeof color === 'number' ? color : ANSI_COLOR_NAMES.indexOf(color);
+  if (index !== -1) {
+    if (base === 50 || index >= 16) {
+      return `${base + 8};5;${index}`;
+    }
+    return String(index < 8 ? base + index : base + 60 + index - 8);
+  }
+
+  const r = parseInt(color.slice(1, 3), 16);
+  const g = parseInt(color.slice(3, 5), 16);
+  const b = parseInt(color.slice(5, 7), 16);
+  return `${base + 8};2;${r};${g};${b}`;
+}
+
+// Parameters that change the attributes `from` into `to`
+function diffParams(from, to) {
+  const params = [];
+
+  if ((from.bold && !to.bold) || (from.dim && !to.dim)) {
+    params.push('22');
+    if (to.bold) params.push('1');
+    if (to.dim) params.push('2');
+  } else {
+    if (to.bold && !from.bold) params.push('1');
+    if (to.dim && !from.dim) params.push('2');
+  }
+
+  for (const [name, on, off] of FLAG_PARAMS) {
+    if (Boolean(from[name]) !== Boolean(to[name])) {
+      params.push(to[name] ? on : off);
+    }
+  }
+
+  if (from.underline !== to.underline) {
+    params.push(to.underline ? UNDERLINE_PARAMS[to.underline] || '4' : '24');
+  }
+  if (from.blink !== to.blink) {
+    params.push(to.blink ? BLINK_PARAMS[to.blink] || '5' : '25');
+  }
+
+  if (from.fg !== to.fg) params.push(colorParams(to.fg, 30));
+  if (from.bg !== to.bg) params.push(colorParams(to.bg, 40));
+  if (from.underlineColor !== to.underlineColor) params.push(colorParams(to.underlineColor, 50));
+
+  return params;
+}
+
+const RESET_ATTR = {
+  fg: DEFAULT_COLOR,
+  bg: DEFAULT_COLOR,
+  underlineColor: DEFAULT_COLOR,
+  underline: false,
+  blink: false
+};
+
+// Shortest SGR sequence turning the attributes `from` into `to` ('' when they match).
+// Either the individual changes or a reset followed by everything `to` sets.
+export function sgrTransition(from, to) {
+  const changes = diffParams(from, to);
+  if (changes.length === 0) {
+    return '';
+  }
+
+  const reset = ['0', ...diffParams(RESET_ATTR, to)];
+  const params = reset.join(';').length < changes.join(';').length ? reset : changes;
+  return `${ESC}[${params.join(';')}m`;
+}
+
+// OSC 8 sequence switching from one hyperlink (attr.link) to another ('' when they match)
+export function linkTransition(from, to) {
+  if ((from?.url ?? null) === (to?.url ?? null) && (from?.id ?? null) === (to?.id ?? null)) {
+    return '';
+  }
+  return to ? `${ESC}]8;${to.id ? `id=${to.id}` : ''};${to.url}${ESC}\\` : `${ESC}]8;;${ESC}\\`;
+}
+
+function isDefaultBlank(cell) {
+  return cell.char === ' ' && !cell.attr.link && sgrTransition(RESET_ATTR, cell.attr) === '';
+}
+
+// Draw rows from the top left of a cleared screen. `attr` is the SGR state the receiving
+// terminal starts in; the state after the rows is returned with the output.
+// Trailing default blanks are left out. Rows continued by autowrap are written to the
+// edge without a line break so the receiver wraps (and later reflows) them the same way.
+export function encodeRows(rows, attr) {
+  let output = '';
+  let current = attr;
+  let pendingBreaks = 0;
+
+  for (const row of rows) {
+    let end = row.length;
+    if (row.wrapped) {
+      if (row.wrapPadding) {
+        end--;
+      }
+    } else {
+      while (end > 0 && isDefaultBlank(row[end - 1])) {
+        end--;
+      }
+    }
+
+    if (end > 0) {
+      output += '\r\n'.repeat(pendingBreaks);
+      pendingBreaks = 0;
+    }
+
+    for (let x = 0; x < end; x++) {
+      const cell = row[x];
+      if (cell.width === 0) { // Continuation of a wide character
+        continue;
+      }
+      output += linkTransition(current.link, cell.attr.link) + sgrTransition(current, cell.attr);
+      current = cell.attr;
+      output += cell.char;
+    }
+
+    if (!row.wrapped) {
+      pendingBreaks++;
+    }
+  }
+
+  return { output, attr: current };
+}
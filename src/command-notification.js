@@ -0,0 +1,50 @@
+/**
+ * Command Notifications
+ * Messages reporting a finished long-running command (found through shell integration),
+ * used by the text bot: exit code, duration and the last lines of output
+ */
+
+// A duration in milliseconds as e.g. "45s", "2m 05s" or "1h 02m"
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.floor(seconds / 60)}m ${pad(seconds % 60)}s`;
+  }
+  return `${Math.floor(seconds / 3600)}h ${pad(Math.floor(seconds / 60) % 60)}m`;
+}
+
+// Whether a command that ran for `duration` milliseconds is reported; a threshold of
+// 0 seconds turns notifications off
+export function shouldNotify(duration, thresholdSeconds) {
+  return thresholdSeconds > 0 && duration >= thresholdSeconds * 1000;
+}
+
+// Message text and Telegram entities for a finished command (a commandFinish event): the
+// command as code and the last `lines` lines of output as a code block. The output is cut
+// from its start so the message stays within maxLength.
+// An exitCode of null means the shell didn't report one.
+export function formatCommandNotification({ command, output, exitCode, duration }, { lines = 10, maxLength = 4096 } = {}) {
+  const name = command.split('\n')[0] || 'Command';
+  const status = exitCode === 0 || exitCode === null
+    ? ` finished in ${formatDuration(duration)}`
+    : ` exited with ${exitCode} after ${formatDuration(duration)}`;
+  const header = `${exitCode === 0 ? '✅' : exitCode === null ? '⏹️' : '❌'} `;
+  const title = header + name + status;
+
+  let tail = lines > 0 ? output.split('\n').slice(-lines).join('\n') : '';
+  const room = Math.max(0, maxLength - title.length - 1);
+  if (tail.length > room) {
+    tail = tail.slice(tail.length - room);
+  }
+
+  const entities = [{ type: 'code', offset: header.length, length: name.length }];
+  if (!tail) {
+    return { text: title, entities };
+  }
+  entities.push({ type: 'pre', offset: title.length + 1, length: tail.length });
+  return { text: `${title}\n${tail}`, entities };
+}
@@ -0,0 +1,302 @@
+/**
+ * Escape Sequence Parser
+ * Table-driven state machine following the DEC ANSI parser diagram from vt100.net
+ * (https://vt100.net/emu/dec_ansi_parser), with 8-bit C1 controls and colon sub-parameters
+ */
+
+// Parser states
+const GROUND = 0;
+const ESCAPE = 1;
+const ESCAPE_INTERMEDIATE = 2;
+const CSI_ENTRY = 3;
+const CSI_PARAM = 4;
+const CSI_INTERMEDIATE = 5;
+const CSI_IGNORE = 6;
+const DCS_ENTRY = 7;
+const DCS_PARAM = 8;
+const DCS_INTERMEDIATE = 9;
+const DCS_PASSTHROUGH = 10;
+const DCS_IGNORE = 11;
+const OSC_STRING = 12;
+const SOS_PM_APC_STRING = 13;
+
+const STATE_NAMES = [
+  'ground', 'escape', 'escape_intermediate',
+  'csi_entry', 'csi_param', 'csi_intermediate', 'csi_ignore',
+  'dcs_entry', 'dcs_param', 'dcs_intermediate', 'dcs_passthrough', 'dcs_ignore',
+  'osc_string', 'sos_pm_apc_string'
+];
+
+// Transition actions
+const NONE = 0;
+const IGNORE = 1;
+const PRINT = 2;
+const EXECUTE = 3;
+const CLEAR = 4;
+const COLLECT = 5;
+const PREFIX = 6; // Collect a private parameter marker (< = > ?)
+const PARAM = 7;
+const ESC_DISPATCH = 8;
+const CSI_DISPATCH = 9;
+const PUT = 10;
+const OSC_PUT = 11;
+
+// Every code point from 0xA0 up behaves like 0xA0 in the table
+const TABLE_WIDTH = 0xA1;
+
+// Longest OSC/DCS payload kept; the rest of a longer string is dropped
+const MAX_STRING_LENGTH = 4 * 1024 * 1024;
+const MAX_PARAMS = 32;
+
+function buildTransitionTable() {
+  const table = new Uint8Array(STATE_NAMES.length * TABLE_WIDTH);
+
+  const add = (states, from, to, action, next) => {
+    for (const state of [].concat(states)) {
+      for (let code = from; code <= to; code++) {
+        table[state * TABLE_WIDTH + code] = (action << 4) | (next ?? state);
+      }
+    }
+  };
+
+  const allStates = STATE_NAMES.map((_, state) => state);
+  const c0 = (states, action) => {
+    add(states, 0x00, 0x17, action);
+    add(states, 0x19, 0x19, action);
+    add(states, 0x1C, 0x1F, action);
+  };
+
+  // Defaults: ignore everything, then the "anywhere" transitions
+  add(allStates, 0x00, 0xA0, IGNORE);
+
+  add(GROUND, 0x20, 0x7E, PRINT);
+  add(GROUND, 0xA0, 0xA0, PRINT);
+  c0(GROUND, EXECUTE);
+
+  c0([ESCAPE, ESCAPE_INTERMEDIATE, CSI_ENTRY, CSI_PARAM, CSI_INTERMEDIATE, CSI_IGNORE], EXECUTE);
+
+  add(ESCAPE, 0x20, 0x2F, COLLECT, ESCAPE_INTERMEDIATE);
+  add(ESCAPE, 0x30, 0x7E, ESC_DISPATCH, GROUND);
+  add(ESCAPE, 0x50, 0x50, CLEAR, DCS_ENTRY); // ESC P
+  add(ESCAPE, 0x58, 0x58, NONE, SOS_PM_APC_STRING); // ESC X
+  add(ESCAPE, 0x5B, 0x5B, CLEAR, CSI_ENTRY); // ESC [
+  add(ESCAPE, 0x5D, 0x5D, NONE, OSC_STRING); // ESC ]
+  add(ESCAPE, 0x5E, 0x5F, NONE, SOS_PM_APC_STRING); // ESC ^ and ESC _
+
+  add(ESCAPE_INTERMEDIATE, 0x20, 0x2F, COLLECT);
+  add(ESCAPE_INTERMEDIATE, 0x30, 0x7E, ESC_DISPATCH, GROUND);
+
+  add(CSI_ENTRY, 0x20, 0x2F, COLLECT, CSI_INTERMEDIATE);
+  add(CSI_ENTRY, 0x30, 0x3B, PARAM, CSI_PARAM);
+  add(CSI_ENTRY, 0x3C, 0x3F, PREFIX, CSI_PARAM);
+  add(CSI_ENTRY, 0x40, 0x7E, CSI_DISPATCH, GROUND);
+
+  add(CSI_PARAM, 0x20, 0x2F, COLLECT, CSI_INTERMEDIATE);
+  add(CSI_PARAM, 0x30, 0x3B, PARAM);
+  add(CSI_PARAM, 0x3C, 0x3F, IGNORE, CSI_IGNORE);
+  add(CSI_PARAM, 0x40, 0x7E, CSI_DISPATCH, GROUND);
+
+  add(CSI_INTERMEDIATE, 0x20, 0x2F, COLLECT);
+  add(CSI_INTERMEDIATE, 0x30, 0x3F, IGNORE, CSI_IGNORE);
+  add(CSI_INTERMEDIATE, 0x40, 0x7E, CSI_DISPATCH, GROUND);
+
+  add(CSI_IGNORE, 0x40, 0x7E, NONE, GROUND);
+
+  add(DCS_ENTRY, 0x20, 0x2F, COLLECT, DCS_INTERMEDIATE);
+  add(DCS_ENTRY, 0x30, 0x3B, PARAM, DCS_PARAM);
+  add(DCS_ENTRY, 0x3C, 0x3F, PREFIX, DCS_PARAM);
+  add(DCS_ENTRY, 0x40, 0x7E, NONE, DCS_PASSTHROUGH);
+
+  add(DCS_PARAM, 0x20, 0x2F, COLLECT, DCS_INTERMEDIATE);
+  add(DCS_PARAM, 0x30, 0x3B, PARAM);
+  add(DCS_PARAM, 0x3C, 0x3F, IGNORE, DCS_IGNORE);
+  add(DCS_PARAM, 0x40, 0x7E, NONE, DCS_PASSTHROUGH);
+
+  add(DCS_INTERMEDIATE, 0x20, 0x2F, COLLECT);
+  add(DCS_INTERMEDIATE, 0x30, 0x3F, IGNORE, DCS_IGNORE);
+  add(DCS_INTERMEDIATE, 0x40, 0x7E, NONE, DCS_PASSTHROUGH);
+
+  c0(DCS_PASSTHROUGH, PUT);
+  add(DCS_PASSTHROUGH, 0x20, 0x7E, PUT);
+  add(DCS_PASSTHROUGH, 0xA0, 0xA0, PUT);
+
+  add(OSC_STRING, 0x20, 0x7F, OSC_PUT);
+  add(OSC_STRING, 0xA0, 0xA0, OSC_PUT);
+  add(OSC_STRING, 0x07, 0x07, NONE, GROUND); // BEL terminates OSC (xterm)
+
+  // Anywhere transitions
+  add(allStates, 0x18, 0x18, EXECUTE, GROUND); // CAN
+  add(allStates, 0x1A, 0x1A, EXECUTE, GROUND); // SUB
+  add(allStates, 0x1B, 0x1B, CLEAR, ESCAPE);
+  add(allStates, 0x80, 0x8F, EXECUTE, GROUND);
+  add(allStates, 0x90, 0x90, CLEAR, DCS_ENTRY);
+  add(allStates, 0x91, 0x97, EXECUTE, GROUND);
+  add(allStates, 0x98, 0x98, NONE, SOS_PM_APC_STRING);
+  add(allStates, 0x99, 0x9A, EXECUTE, GROUND);
+  add(allStates, 0x9B, 0x9B, CLEAR, CSI_ENTRY);
+  add(allStates, 0x9C, 0x9C, NONE, GROUND); // ST
+  add(allStates, 0x9D, 0x9D, NONE, OSC_STRING);
+  add(allStates, 0x9E, 0x9F, NONE, SOS_PM_APC_STRING);
+
+  return table;
+}
+
+const TRANSITIONS = buildTransitionTable();
+
+// The handler receives the parsed input:
+//   print(char)                                  - printable character (one code point)
+//   execute(code)                                - C0/C1 control
+//   escDispatch(finalChar, intermediates)        - ESC sequence
+//   csiDispatch(finalChar, params, prefix, intermediates)
+//   oscDispatch(data)                            - complete OSC payload, e.g. "0;title"
+//   dcsDispatch(finalChar, params, prefix, intermediates, data)
+// CSI/DCS params are numbers (0 when omitted); a parameter with ':' sub-parameters is an
+// array with null for omitted sub-parameters.
+class EscapeParser {
+  constructor(handler) {
+    this.handler = handler;
+    this.reset();
+  }
+
+  reset() {
+    this.state = GROUND;
+    this.clear();
+    this.oscData = '';
+    this.dcsData = '';
+    this.dcsFinal = '';
+  }
+
+  clear() {
+    this.prefix = '';
+    this.intermediates = '';
+    this.params = [];
+    this.currentParam = '';
+  }
+
+  get stateName() {
+    return STATE_NAMES[this.state];
+  }
+
+  // True between sequences, i.e. when no escape sequence or string is in progress
+  isInGround() {
+    return this.state === GROUND;
+  }
+
+  parse(data) {
+    // Iterate by code point so surrogate pairs reach the handler as one character
+    for (const char of data) {
+      this.advance(char);
+    }
+  }
+
+  advance(char) {
+    const code = char.codePointAt(0);
+    const transition = TRANSITIONS[this.state * TABLE_WIDTH + Math.min(code, 0xA0)];
+    const action = transition >> 4;
+    const next = transition & 0x0F;
+
+    if (next !== this.state) {
+      this.exitState(this.state);
+    }
+
+    switch (action) {
+      case PRINT:
+        this.handler.print(char);
+        break;
+      case EXECUTE:
+        this.handler.execute(code);
+        break;
+      case CLEAR:
+        this.clear();
+        break;
+      case COLLECT:
+        this.intermediates += char;
+        break;
+      case PREFIX:
+        this.prefix += char;
+        break;
+      case PARAM:
+        this.collectParam(char);
+        break;
+      case ESC_DISPATCH:
+        this.handler.escDispatch(char, this.intermediates);
+        break;
+      case CSI_DISPATCH:
+        this.handler.csiDispatch(char, this.finishParams(), this.prefix, this.intermediates);
+        break;
+      case PUT:
+        if (this.dcsData.length < MAX_STRING_LENGTH) {
+          this.dcsData += char;
+        }
+        break;
+      case OSC_PUT:
+        if (this.oscData.length < MAX_STRING_LENGTH) {
+          this.oscData += char;
+        }
+        break;
+    }
+
+    if (next !== this.state) {
+      this.state = next;
+      this.enterState(next, char);
+    }
+  }
+
+  enterState(state, char) {
+    switch (state) {
+      case OSC_STRING:
+        this.oscData = '';
+        break;
+      case DCS_PASSTHROUGH: // Hook: the final character selects the DCS function
+        this.dcsFinal = char;
+        this.dcsData = '';
+        break;
+    }
+  }
+
+  exitState(state) {
+    switch (state) {
+      case OSC_STRING:
+        this.handler.oscDispatch(this.oscData);
+        this.oscData = '';
+        break;
+      case DCS_PASSTHROUGH: // Unhook
+        this.handler.dcsDispatch(this.dcsFinal, this.finishParams(), this.prefix, this.intermediates, this.dcsData);
+        this.dcsData = '';
+        break;
+    }
+  }
+
+  collectParam(char) {
+    if (char === ';') {
+      this.pushParam();
+    } else {
+      this.currentParam += char;
+    }
+  }
+
+  pushParam() {
+    if (this.params.length < MAX_PARAMS) {
+      this.params.push(parseParam(this.currentParam));
+    }
+    this.currentParam = '';
+  }
+
+  // An omitted last parameter is only counted when it follows a ';'
+  finishParams() {
+    if (this.currentParam !== '' || this.params.length > 0) {
+      this.pushParam();
+    }
+    return this.params;
+  }
+}
+
+// Parameters with ':' sub-parameters (e.g. "4:3", "38:2::255:0:0") become arrays
+function parseParam(value) {
+  if (value.includes(':')) {
+    return value.split(':').map(part => (part === '' ? null : parseInt(part)));
+  }
+  return parseInt(value) || 0;
+}
+
+export default EscapeParser;
@@ -0,0 +1,130 @@
+/**
+ * Frame Scheduler
+ * Coalesces screen changes into frames: a frame is emitted once output has been quiet
+ * for minInterval, or maxLatency after its first change when output never pauses.
+ * While held (synchronized update, CSI ?2026 h) frames wait for release, up to syncTimeout.
+ */
+
+class FrameScheduler {
+  constructor({ minInterval = 150, maxLatency = 1000, syncTimeout = 1000, onFrame } = {}) {
+    this.minInterval = minInterval;
+    this.maxLatency = maxLatency;
+    this.syncTimeout = syncTimeout;
+    this.onFrame = onFrame;
+
+    this.frameNumber = 0;
+    this.pending = null; // { changedRows: Set, damage, changeCount, firstChangeAt }
+    this.held = false;
+    this.due = false; // A frame came due while held
+
+    this.quietTimer = null;
+    this.latencyTimer = null;
+    this.syncTimer = null;
+  }
+
+  // Add a screen change ({ changedRows, damage }) to the next frame
+  schedule(change) {
+    if (!this.pending) {
+      this.pending = {
+        changedRows: new Set(),
+        damage: null,
+        changeCount: 0,
+        firstChangeAt: Date.now()
+      };
+      this.latencyTimer = setTimeout(() => this.emit(), this.maxLatency);
+    }
+
+    const pending = this.pending;
+    pending.changeCount++;
+    for (const row of change.changedRows || []) {
+      pending.changedRows.add(row);
+    }
+    if (change.damage) {
+      pending.damage = pending.damage
+        ? {
+          top: Math.min(pending.damage.top, change.damage.top),
+          bottom: Math.max(pending.damage.bottom, change.damage.bottom),
+          left: Math.min(pending.damage.left, change.damage.left),
+          right: Math.max(pending.damage.right, change.damage.right)
+        }
+        : { ...change.damage };
+    }
+
+    clearTimeout(this.quietTimer);
+    this.quietTimer = setTimeout(() => this.emit(), this.minInterval);
+  }
+
+  emit() {
+    if (!this.pending) {
+      return;
+    }
+    if (this.held) {
+      this.due = true;
+      return;
+    }
+
+    const pending = this.pending;
+    this.clearTimers();
+    this.pending = null;
+    this.frameNumber++;
+
+    this.onFrame({
+      frameNumber: this.frameNumber,
+      timestamp: new Date(),
+      changedRows: [...pending.changedRows].sort((a, b) => a - b),
+      damage: pending.damage,
+      changeCount: pending.changeCount,
+      latency: Date.now() - pending.firstChangeAt
+    });
+  }
+
+  // Synchronized update: keep frames back until release
+  hold() {
+    if (this.held) {
+      return;
+    }
+    this.held = true;
+    this.syncTimer = setTimeout(() => this.release(), this.syncTimeout);
+  }
+
+  release() {
+    if (!this.held) {
+      return;
+    }
+    this.held = false;
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+    if (this.due) {
+      this.due = false;
+      this.emit();
+    }
+  }
+
+  // Emit the pending frame now, even while held
+  flush() {
+    const held = this.held;
+    this.held = false;
+    this.emit();
+    this.held = held;
+    this.due = false;
+  }
+
+  // Drop the pending frame and stop all timers
+  cancel() {
+    this.clearTimers();
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+    this.pending = null;
+    this.held = false;
+    this.due = false;
+  }
+
+  clearTimers() {
+    clearTimeout(this.quietTimer);
+    clearTimeout(this.latencyTimer);
+    this.quietTimer = null;
+    this.latencyTimer = null;
+  }
+}
+
+export default FrameScheduler;
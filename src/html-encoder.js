@@ -0,0 +1,206 @@
+/**
+ * HTML Encoder
+ * Renders VirtualTerminal rows as a <pre> block with styled spans, used by
+ * VirtualTerminal.toHTML(). Styles are either inline or CSS classes (see terminalStylesheet).
+ */
+
+import { ANSI_COLOR_NAMES, DEFAULT_COLOR, XTERM_256_PALETTE, colorToHex } from './terminal-colors.js';
+
+const UNDERLINE_STYLES = {
+  single: 'solid',
+  double: 'double',
+  curly: 'wavy',
+  dotted: 'dotted',
+  dashed: 'dashed'
+};
+
+// Link schemes rendered as <a> elements; other links (e.g. javascript:) stay plain text
+const LINK_SCHEMES = ['http:', 'https:', 'ftp:', 'mailto:', 'file:'];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, char => HTML_ESCAPES[char]);
+}
+
+function textDecoration(attr) {
+  const lines = [];
+  if (attr.underline) lines.push('underline');
+  if (attr.overline) lines.push('overline');
+  if (attr.strikethrough) lines.push('line-through');
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const style = [`text-decoration:${lines.join(' ')}`];
+  if (attr.underline && attr.underline !== 'single') {
+    style.push(`text-decoration-style:${UNDERLINE_STYLES[attr.underline]}`);
+  }
+  if (attr.underline && attr.underlineColor !== DEFAULT_COLOR) {
+    style.push(`text-decoration-color:${colorToHex(attr.underlineColor)}`);
+  }
+  return style;
+}
+
+// Inline CSS for a cell; '' for the terminal defaults
+function inlineStyle(attr) {
+  let fg = colorToHex(attr.fg);
+  let bg = attr.bg === DEFAULT_COLOR ? null : colorToHex(attr.bg, true);
+  if (attr.reverse) {
+    [fg, bg] = [bg || colorToHex(DEFAULT_COLOR, true), fg];
+  }
+
+  const style = [];
+  if (attr.fg !== DEFAULT_COLOR || attr.reverse) style.push(`color:${fg}`);
+  if (bg) style.push(`background-color:${bg}`);
+  if (attr.bold) style.push('font-weight:bold');
+  if (attr.dim) style.push('opacity:0.5');
+  if (attr.italic) style.push('font-style:italic');
+  if (attr.hidden) style.push('visibility:hidden');
+  style.push(...textDecoration(attr));
+  return style.join(';');
+}
+
+// Class name part for a color: palette name or index, or null for truecolor
+function colorClass(color) {
+  return typeof color === 'number' || ANSI_COLOR_NAMES.includes(color) || color === DEFAULT_COLOR
+    ? String(color)
+    : null;
+}
+
+// CSS classes (and inline style for truecolor) for a cell
+function classStyle(attr, prefix) {
+  const classes = [];
+  const style = [];
+  const addColor = (color, layer) => {
+    const name = colorClass(color);
+    if (name === null) {
+      style.push(`${layer === 'fg' ? 'color' : 'background-color'}:${color}`);
+    } else if (name !== DEFAULT_COLOR) {
+      classes.push(`${prefix}-${layer}-${name}`);
+    }
+  };
+
+  if (attr.reverse) {
+    // Swapped colors; the defaults swap through the -inverse classes
+    if (attr.bg === DEFAULT_COLOR) classes.push(`${prefix}-fg-inverse`);
+    else addColor(attr.bg, 'fg');
+    if (attr.fg === DEFAULT_COLOR) classes.push(`${prefix}-bg-inverse`);
+    else addColor(attr.fg, 'bg');
+  } else {
+    addColor(attr.fg, 'fg');
+    addColor(attr.bg, 'bg');
+  }
+
+  for (const name of ['bold', 'dim', 'italic', 'hidden']) {
+    if (attr[name]) classes.push(`${prefix}-${name}`);
+  }
+  if (attr.blink) classes.push(`${prefix}-blink`);
+  style.push(...textDecoration(attr));
+
+  return { classes, style: style.join(';') };
+}
+
+function spanAttributes(attr, options, classes = []) {
+  let style;
+  if (options.classes) {
+    const cellStyle = classStyle(attr, options.classPrefix);
+    classes = [...classes, ...cellStyle.classes];
+    style = cellStyle.style;
+  } else {
+    style = inlineStyle(attr);
+  }
+  return (classes.length ? ` class="${classes.join(' ')}"` : '') + (style ? ` style="${style}"` : '');
+}
+
+function linkHref(link) {
+  if (!link) {
+    return null;
+  }
+  const scheme = link.url.substring(0, link.url.indexOf(':') + 1).toLowerCase();
+  return LINK_SCHEMES.includes(scheme) ? link.url : null;
+}
+
+// Render rows as HTML lines. The cursor cell (if any) is drawn in reverse video and
+// marked with the -cursor class. Linked cells (OSC 8) become <a> elements. Trailing blank
+// cells without a background are left out.
+export function encodeHtmlRows(rows, { cursor = null, classes = false, classPrefix = 'term' } = {}) {
+  const options = { classes, classPrefix };
+
+  return rows.map((row, y) => {
+    let end = row.length;
+    while (end > 0 && row[end - 1].char === ' ' && row[end - 1].attr.bg === DEFAULT_COLOR &&
+      !row[end - 1].attr.reverse && !row[end - 1].attr.link && !(cursor && cursor.y === y && cursor.x === end - 1)) {
+      end--;
+    }
+
+    let html = '';
+    let openAttributes = null;
+    let openHref = null;
+    let text = '';
+    const flush = () => {
+      if (text) {
+        html += openAttributes ? `<span${openAttributes}>${escapeHtml(text)}</span>` : escapeHtml(text);
+      }
+      text = '';
+    };
+
+    for (let x = 0; x < end; x++) {
+      const cell = row[x];
+      if (cell.width === 0) { // Continuation of a wide character
+        continue;
+      }
+
+      const href = linkHref(cell.attr.link);
+      if (href !== openHref) {
+        flush();
+        html += (openHref ? '</a>' : '') + (href ? `<a href="${escapeHtml(href)}">` : '');
+        openHref = href;
+      }
+
+      const isCursor = cursor && cursor.y === y && (cursor.x === x || (cursor.x === x + 1 && cell.width === 2));
+      if (isCursor) {
+        flush();
+        const attributes = spanAttributes({ ...cell.attr, reverse: !cell.attr.reverse }, options, [`${classPrefix}-cursor`]);
+        html += `<span${attributes}>${escapeHtml(cell.char)}</span>`;
+        openAttributes = null;
+        continue;
+      }
+
+      const attributes = spanAttributes(cell.attr, options);
+      if (attributes !== openAttributes) {
+        flush();
+        openAttributes = attributes;
+      }
+      text += cell.char;
+    }
+    flush();
+    return openHref ? `${html}</a>` : html;
+  });
+}
+
+// Stylesheet for class-based output: palette colors, attributes and the default colors
+export function terminalStylesheet(classPrefix = 'term') {
+  const p = classPrefix;
+  const fg = colorToHex(DEFAULT_COLOR);
+  const bg = colorToHex(DEFAULT_COLOR, true);
+  const rules = [
+    `.${p} { color: ${fg}; background-color: ${bg}; font-family: monospace; }`,
+    `.${p}-fg-inverse { color: ${bg}; }`,
+    `.${p}-bg-inverse { background-color: ${fg}; }`,
+    `.${p}-bold { font-weight: bold; }`,
+    `.${p}-dim { opacity: 0.5; }`,
+    `.${p}-italic { font-style: italic; }`,
+    `.${p}-hidden { visibility: hidden; }`,
+    `.${p}-blink { animation: ${p}-blink 1s steps(1) infinite; }`,
+    `@keyframes ${p}-blink { 50% { opacity: 0; } }`
+  ];
+
+  XTERM_256_PALETTE.forEach((hex, index) => {
+    const name = index < 16 ? ANSI_COLOR_NAMES[index] : index;
+    rules.push(`.${p}-fg-${name} { color: ${hex}; }`);
+    rules.push(`.${p}-bg-${name} { background-color: ${hex}; }`);
+  });
+
+  return rules.join('\n');
+}
@@ -0,0 +1,86 @@
+/**
+ * Scrollback Buffer
+ * Fixed-capacity ring buffer holding lines scrolled off the top of the screen
+ */
+
+// Rough per-cell memory estimate (cell object, attribute object and character string)
+const ESTIMATED_BYTES_PER_CELL = 120;
+
+class ScrollbackBuffer {
+  constructor({ maxLines = 1000, maxBytes = 16 * 1024 * 1024 } = {}) {
+    this.maxLines = Math.max(0, maxLines);
+    this.maxBytes = Math.max(0, maxBytes);
+    this.lines = new Array(this.maxLines);
+    this.start = 0;
+    this.length = 0;
+    this.bytes = 0;
+  }
+
+  static estimateRowBytes(row) {
+    return row.length * ESTIMATED_BYTES_PER_CELL;
+  }
+
+  push(row) {
+    if (this.maxLines === 0) {
+      return;
+    }
+
+    const rowBytes = ScrollbackBuffer.estimateRowBytes(row);
+    if (rowBytes > this.maxBytes) {
+      return;
+    }
+
+    if (this.length === this.maxLines) {
+      this.shift();
+    }
+
+    this.lines[(this.start + this.length) % this.maxLines] = row;
+    this.length++;
+    this.bytes += rowBytes;
+
+    // Enforce the memory cap by evicting the oldest lines
+    while (this.bytes > this.maxBytes && this.length > 0) {
+      this.shift();
+    }
+  }
+
+  // Remove and return the oldest line
+  shift() {
+    if (this.length === 0) {
+      return undefined;
+    }
+    const row = this.lines[this.start];
+    this.lines[this.start] = undefined;
+    this.start = (this.start + 1) % this.maxLines;
+    this.length--;
+    this.bytes -= ScrollbackBuffer.estimateRowBytes(row);
+    return row;
+  }
+
+  // Line by index, 0 being the oldest line kept
+  get(index) {
+    if (index < 0 || index >= this.length) {
+      return undefined;
+    }
+    return this.lines[(this.start + index) % this.maxLines];
+  }
+
+  getRange(start = 0, end = this.length) {
+    const from = Math.max(0, start);
+    const to = Math.min(this.length, end);
+    const result = [];
+    for (let i = from; i < to; i++) {
+      result.push(this.get(i));
+    }
+    return result;
+  }
+
+  clear() {
+    this.lines = new Array(this.maxLines);
+    this.start = 0;
+    this.length = 0;
+    this.bytes = 0;
+  }
+}
+
+export default ScrollbackBuffer;
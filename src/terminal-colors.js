@@ -0,0 +1,86 @@
+/**
+ * Terminal Color Palette
+ * Color values stored in VirtualTerminal cell attributes and helpers to resolve them
+ *
+ * A cell color is one of:
+ * - 'default'                  - terminal default foreground/background
+ * - 'red', 'brightRed', ...    - the 16 ANSI palette colors by name
+ * - 16..255                    - xterm 256-color palette index
+ * - '#rrggbb'                  - 24-bit truecolor
+ */
+
+export const DEFAULT_COLOR = 'default';
+
+export const ANSI_COLOR_NAMES = [
+  'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white',
+  'brightBlack', 'brightRed', 'brightGreen', 'brightYellow',
+  'brightBlue', 'brightMagenta', 'brightCyan', 'brightWhite'
+];
+
+// xterm default values for the 16 ANSI colors
+const ANSI_COLOR_VALUES = [
+  '#000000', '#cd0000', '#00cd00', '#cdcd00', '#0000ee', '#cd00cd', '#00cdcd', '#e5e5e5',
+  '#7f7f7f', '#ff0000', '#00ff00', '#ffff00', '#5c5cff', '#ff00ff', '#00ffff', '#ffffff'
+];
+
+const DEFAULT_FOREGROUND = '#e5e5e5';
+const DEFAULT_BACKGROUND = '#000000';
+
+function toHexByte(value) {
+  return value.toString(16).padStart(2, '0');
+}
+
+export function rgbToHex(r, g, b) {
+  const clamp = (value) => Math.max(0, Math.min(255, value | 0));
+  return `#${toHexByte(clamp(r))}${toHexByte(clamp(g))}${toHexByte(clamp(b))}`;
+}
+
+// Build the xterm 256-color palette: 16 ANSI colors, 6x6x6 color cube, 24 grays
+function buildPalette() {
+  const palette = [...ANSI_COLOR_VALUES];
+  const levels = [0, 95, 135, 175, 215, 255];
+
+  for (let r = 0; r < 6; r++) {
+    for (let g = 0; g < 6; g++) {
+      for (let b = 0; b < 6; b++) {
+        palette.push(rgbToHex(levels[r], levels[g], levels[b]));
+      }
+    }
+  }
+
+  for (let i = 0; i < 24; i++) {
+    const level = 8 + i * 10;
+    palette.push(rgbToHex(level, level, level));
+  }
+
+  return palette;
+}
+
+export const XTERM_256_PALETTE = buildPalette();
+
+// Convert a palette index into the cell color form (names for the 16 ANSI colors)
+export function paletteColor(index) {
+  if (index < 16) {
+    return ANSI_COLOR_NAMES[index];
+  }
+  return index;
+}
+
+// Resolve any cell color to a '#rrggbb' string renderers can draw with
+export function colorToHex(color, isBackground = false) {
+  if (typeof color === 'number') {
+    return XTERM_256_PALETTE[color] || (isBackground ? DEFAULT_BACKGROUND : DEFAULT_FOREGROUND);
+  }
+
+  if (typeof color === 'string') {
+    if (color.startsWith('#')) {
+      return color;
+    }
+    const index = ANSI_COLOR_NAMES.indexOf(color);
+    if (index !== -1) {
+      return ANSI_COLOR_VALUES[index];
+    }
+  }
+
+  return isBackground ? DEFAULT_BACKGROUND : DEFAULT_FOREGROUND;
+}
@@ -0,0 +1,135 @@
+/**
+ * Terminal Snapshots
+ * Compact, versioned encoding of screen rows for VirtualTerminal.serialize()/deserialize()
+ */
+
+import { gzipSync, gunzipSync } from 'zlib';
+
+export const SNAPSHOT_VERSION = 1;
+
+// Attribute objects are stored once in a table and referenced by index from the rows
+export class AttributeTable {
+  constructor(defaultAttr) {
+    this.list = [];
+    this.indexes = new Map();
+    this.add(defaultAttr);
+  }
+
+  add(attr) {
+    const key = JSON.stringify(attr);
+    let index = this.indexes.get(key);
+    if (index === undefined) {
+      index = this.list.length;
+      this.list.push({ ...attr });
+      this.indexes.set(key, index);
+    }
+    return index;
+  }
+
+  // A row becomes { c: chars, a: [attrIndex, runLength, ...] }, without the trailing blank
+  // cells that have the default attributes, plus flags for autowrap (w, p) and shell
+  // integration marks (m). Wide characters are implied by the empty continuation cell
+  // that follows them.
+  encodeRow(row) {
+    const indexes = row.map(cell => this.add(cell.attr));
+    let length = row.length;
+    while (length > 0 && row[length - 1].char === ' ' && indexes[length - 1] === 0) {
+      length--;
+    }
+
+    const encoded = { c: row.slice(0, length).map(cell => cell.char) };
+    const runs = [];
+    for (let x = 0; x < length; x++) {
+      if (runs.length > 0 && runs[runs.length - 2] === indexes[x]) {
+        runs[runs.length - 1]++;
+      } else {
+        runs.push(indexes[x], 1);
+      }
+    }
+    if (runs.length > 2 || (runs.length === 2 && runs[0] !== 0)) {
+      encoded.a = runs;
+    }
+    if (row.wrapped) {
+      encoded.w = 1;
+    }
+    if (row.wrapPadding) {
+      encoded.p = 1;
+    }
+    if (row.marks) {
+      encoded.m = row.marks.map(mark => ({ ...mark }));
+    }
+    return encoded;
+  }
+
+  encodeRows(rows) {
+    return rows.map(row => this.encodeRow(row));
+  }
+}
+
+export function decodeRow(encoded, attrs, cols) {
+  const chars = encoded.c || [];
+  const runs = encoded.a || [];
+  const row = [];
+  let run = 0;
+  let remaining = runs.length > 0 ? runs[1] : Infinity;
+
+  for (let x = 0; x < cols; x++) {
+    let attrIndex = 0;
+    if (x < chars.length) {
+      if (remaining === 0) {
+        run += 2;
+        remaining = run < runs.length ? runs[run + 1] : Infinity;
+      }
+      attrIndex = run < runs.length ? runs[run] : 0;
+      remaining--;
+    }
+
+    const char = x < chars.length ? chars[x] : ' ';
+    const cell = { char, attr: { ...attrs[attrIndex] } };
+    if (char === '') {
+      cell.width = 0;
+    } else if (chars[x + 1] === '') {
+      cell.width = 2;
+    }
+    row.push(cell);
+  }
+
+  if (encoded.w) {
+    row.wrapped = true;
+  }
+  if (encoded.p) {
+    row.wrapPadding = true;
+  }
+  if (encoded.m) {
+    row.marks = encoded.m.map(mark => ({ ...mark }));
+  }
+  return row;
+}
+
+export function decodeRows(encodedRows, attrs, cols) {
+  return encodedRows.map(encoded => decodeRow(encoded, attrs, cols));
+}
+
+// Snapshot as gzip-compressed JSON
+export function snapshotToBinary(snapshot) {
+  return gzipSync(JSON.stringify(snapshot));
+}
+
+// Accept a snapshot object, its JSON text or its binary form
+export function parseSnapshot(input) {
+  let snapshot = input;
+  if (input instanceof Uint8Array) {
+    const isGzip = input[0] === 0x1F && input[1] === 0x8B;
+    snapshot = JSON.parse((isGzip ? gunzipSync(input) : Buffer.from(input)).toString('utf8'));
+  } else if (typeof input === 'string') {
+    snapshot = JSON.parse(input);
+  }
+
+  if (!snapshot || typeof snapshot !== 'object') {
+    throw new Error('Invalid terminal snapshot');
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported terminal snapshot version: ${snapshot.version}`);
+  }
+  return snapshot;
+}
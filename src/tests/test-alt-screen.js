@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Test Alternate Screen Modes
+ *
+ * Tests modes 47, 1047, 1048 and 1049 and the per-screen cursor state
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+
+console.log('🖥️ Testing Alternate Screen Modes\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertPosition(term, x, y, message) {
+  const pos = term.getCursorPosition();
+  if (pos.x !== x || pos.y !== y) {
+    throw new Error(`${message}\n   Expected cursor at (${x}, ${y})\n   Actual cursor at (${pos.x}, ${pos.y})`);
+  }
+}
+
+function firstLine(term) {
+  return term.toString().split('\n')[0];
+}
+
+test('Mode 1049 saves the cursor and attributes and clears the alternate screen', () => {
+  const term = new VirtualTerminal(10, 4);
+  term.write('main\x1B[2;3H\x1B[1;31m');
+  term.write('\x1B[?1049h');
+
+  assertEqual(term.toString().trim(), '', 'Alternate screen should start blank');
+  term.write('\x1B[0m\x1B[4;1Hvim');
+  term.write('\x1B[?1049l');
+
+  assertEqual(firstLine(term), 'main      ', 'Main screen content should be back');
+  assertPosition(term, 2, 1, 'Cursor should be restored');
+  assertEqual(term.currentAttr.bold, true, 'Bold should be restored');
+  assertEqual(term.currentAttr.fg, 'red', 'Foreground color should be restored');
+});
+
+test('Mode 47 switches screens without clearing', () => {
+  const term = new VirtualTerminal(10, 4);
+  term.write('main');
+  term.write('\x1B[?47h\x1B[Hless');
+  term.write('\x1B[?47l');
+  assertEqual(firstLine(term), 'main      ', 'Leaving mode 47 should show the main screen');
+
+  term.write('\x1B[?47h');
+  assertEqual(firstLine(term), 'less      ', 'Alternate screen should keep its content');
+  assertEqual(term.isModeSet(47), true, 'Mode 47 should be reported as set');
+});
+
+test('Mode 1047 clears the alternate screen when leaving it', () => {
+  const term = new VirtualTerminal(10, 4);
+  term.write('\x1B[?1047hscreen\x1B[?1047l');
+  term.write('\x1B[?47h');
+
+  assertEqual(term.toString().trim(), '', 'Alternate screen should have been cleared');
+});
+
+test('Mode 1048 saves and restores the cursor', () => {
+  const term = new VirtualTerminal(10, 4);
+  term.write('\x1B[3;4H\x1B[?1048h\x1B[H\x1B[?1048l');
+
+  assertPosition(term, 3, 2, 'Cursor should be restored by ESC[?1048l');
+});
+
+test('Each screen keeps its own cursor, saved cursor and scroll region', () => {
+  const term = new VirtualTerminal(10, 6);
+  term.write('\x1B[2;5r\x1B[3;3H\x1B7');
+  term.write('\x1B[?47h');
+  assertEqual(term.scrollRegion.bottom, 5, 'Alternate screen should have its own full scroll region');
+
+  term.write('\x1B[1;3r\x1B[6;6H\x1B7\x1B[H');
+  term.write('\x1B[?47l');
+  assertEqual(term.scrollRegion.bottom, 4, 'Main scroll region should be back');
+  assertPosition(term, 2, 2, 'Main cursor should be back');
+
+  term.write('\x1B[H\x1B8');
+  assertPosition(term, 2, 2, 'DECRC should use the main screen saved cursor');
+});
+
+test('Alternate screen lines do not enter the main scrollback', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('\x1B[?1049h1\r\n2\r\n3\r\n4\x1B[?1049l');
+
+  assertEqual(term.getScrollbackLength(), 0, 'Main scrollback should stay empty');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All alternate screen tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
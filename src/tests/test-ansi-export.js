@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Test ANSI Export
+ *
+ * Tests toAnsi(): replaying its output into a fresh terminal must rebuild the same screen and state
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+import { sgrTransition } from '../ansi-encoder.js';
+
+console.log('🎞️ Testing ANSI Export\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+// Write the input, replay toAnsi() into a second terminal and compare their snapshots
+function assertReplays(input, message, cols = 10, rows = 4) {
+  const term = new VirtualTerminal(cols, rows);
+  term.write(input);
+  const copy = new VirtualTerminal(cols, rows);
+  copy.write(term.toAnsi());
+
+  const expected = term.serialize();
+  const actual = copy.serialize();
+  for (const key of ['attrs', 'screens', 'activeScreen', 'currentAttr', 'cursorVisible', 'wrapPending',
+    'autowrap', 'tabStops', 'charset', 'margins', 'originMode']) {
+    assertEqual(JSON.stringify(actual[key]), JSON.stringify(expected[key]), `${message} (${key})`);
+  }
+  return term;
+}
+
+test('Text, colors and attributes are redrawn', () => {
+  assertReplays('\x1B[1;31mred\x1B[0m \x1B[4:3;38;2;1;2;3mcurly\x1B[0m\r\n\x1B[7;48;5;200m rev \x1B[0m\x1B[41m   ', 'Styled text should replay');
+  assertReplays('wide 中文\r\n\x1B[2;8Hé\x1B[?2004h', 'Wide characters and positioned text should replay');
+});
+
+test('Soft-wrapped rows stay wrapped', () => {
+  const term = assertReplays('a long line that wraps around', 'Wrapped text should replay');
+  assertEqual(term.toAnsi().includes('\r\n'), false, 'Wrapped rows should not be broken with CR LF');
+
+  assertReplays('abcdefghi中x', 'A wide character wrapped with padding should replay');
+  assertReplays('abcdefghij', 'A pending wrap should replay');
+});
+
+test('Cursor, regions, tab stops, character sets and modes are restored', () => {
+  assertReplays('\x1B[2;3r\x1B[?6h\x1B[2;2Hx\x1B[32m', 'Scroll region and origin mode should replay');
+  assertReplays('\x1B[3g\x1B[1;3H\x1BH\x1B[1;7H\x1BHx\x1B)0\x0Eqqq\x1B[?25l\x1B[?7l', 'Tab stops, charsets, hidden cursor and autowrap should replay');
+
+  const term = new VirtualTerminal(10, 4);
+  term.write('\x1B[?1h\x1B[?2004h\x1B[?2004l\x1B[?1000h');
+  const ansi = term.toAnsi();
+  assertEqual(ansi.includes('\x1B[?1h') && ansi.includes('\x1B[?1000h'), true, 'Set modes should be replayed');
+  assertEqual(ansi.includes('\x1B[?2004h'), false, 'Reset modes should not be replayed');
+});
+
+test('Alternate screen is drawn over the main screen', () => {
+  const term = assertReplays('shell $ ls\r\nfile\x1B[?1049h\x1B[Hvim\x1B[44m blue \x1B[0m', 'Both screens should replay');
+  const copy = new VirtualTerminal(10, 4);
+  copy.write(term.toAnsi());
+
+  copy.write('\x1B[?1049l');
+  term.write('\x1B[?1049l');
+  assertEqual(copy.toString(), term.toString(), 'Leaving the alternate screen should show the same main screen');
+  assertEqual(JSON.stringify(copy.getCursorPosition()), JSON.stringify(term.getCursorPosition()), 'Leaving the alternate screen should restore the same cursor');
+});
+
+test('Output is minimal', () => {
+  const term = new VirtualTerminal(20, 5);
+  term.write('\x1B[1mab\x1B[22mc\x1B[0m');
+  assertEqual(term.toAnsi(), '\x1B[0m\x1B[r\x1B(B\x0F\x1B[H\x1B[2J\x1B[1mab\x1B[0mc\x1B[1;4H', 'Only changes and no trailing blanks should be written');
+  assertEqual(term.toAnsi({ state: false }).endsWith('c'), true, 'Without state no cursor position should be written');
+
+  const defaultAttr = { ...term.currentAttr };
+  const from = { ...defaultAttr, fg: 'red', bold: true, italic: true, underline: 'single' };
+  assertEqual(sgrTransition(from, { ...from, bold: false }), '\x1B[22m', 'A single change should use its own reset');
+  assertEqual(sgrTransition(from, defaultAttr), '\x1B[0m', 'Clearing everything should use a full reset');
+  assertEqual(sgrTransition(from, from), '', 'Unchanged attributes should write nothing');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All ANSI export tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
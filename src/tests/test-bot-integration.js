@@ -16,21 +16,12 @@ class BotTerminalSimulator {
   constructor(cols, rows) {
     this.virtualTerminal = new VirtualTerminal(cols, rows);
     this.messageUpdates = [];
-    this.updateTimeout = null;
     this.lastMessageContent = '';
     
-    // Subscribe to terminal changes (like in text-bot.js)
-    this.unsubscribeFromChanges = this.virtualTerminal.onScreenChange((changeData) => {
-      console.log(`  📡 Screen change detected (Frame ${changeData.frameNumber})`);
-      
-      // Debounce updates (like in text-bot.js)
-      if (this.updateTimeout) {
-        clearTimeout(this.updateTimeout);
-      }
-      
-      this.updateTimeout = setTimeout(() => {
-        this.updateTelegramMessage();
-      }, 150);
+    // Subscribe to terminal frames (like in text-bot.js) - the terminal coalesces changes
+    this.unsubscribeFromFrames = this.virtualTerminal.onFrame((frame) => {
+      console.log(`  📡 Frame ready (${frame.changeCount} screen changes)`);
+      this.updateTelegramMessage();
     });
   }
   
@@ -72,10 +63,7 @@ class BotTerminalSimulator {
   }
   
   cleanup() {
-    if (this.updateTimeout) {
-      clearTimeout(this.updateTimeout);
-    }
-    this.unsubscribeFromChanges();
+    this.unsubscribeFromFrames();
   }
 }
 
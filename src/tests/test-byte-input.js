@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Test Byte Input
+ *
+ * Tests writeBytes with UTF-8 split across chunks and change notifications
+ * held back until an escape sequence is complete
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+
+console.log('🔢 Testing Byte Input\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function firstLine(term) {
+  return term.toString().split('\n')[0].trimEnd();
+}
+
+test('Multibyte characters split across chunks', () => {
+  const term = new VirtualTerminal(20, 2);
+  const bytes = new TextEncoder().encode('é中😀!');
+
+  // Feed one byte at a time
+  for (const byte of bytes) {
+    term.writeBytes(Uint8Array.of(byte));
+  }
+
+  assertEqual(firstLine(term), 'é中😀!', 'Characters should be decoded whole');
+  assertEqual(term.getCursorPosition().x, 6, 'Cursor should advance by the display width');
+});
+
+test('Invalid UTF-8 becomes a replacement character', () => {
+  const term = new VirtualTerminal(20, 2);
+  term.writeBytes(Uint8Array.of(0x61, 0xFF, 0x62));
+
+  assertEqual(firstLine(term), 'a\uFFFDb', 'Invalid byte should not break the following text');
+});
+
+test('Change notification waits for a split escape sequence', () => {
+  const term = new VirtualTerminal(20, 2);
+  const changes = [];
+  term.onScreenChange((change) => changes.push(change));
+
+  term.write('abc\x1B[1;');
+  assertEqual(changes.length, 0, 'No change should be reported mid-sequence');
+
+  term.write('1Hx');
+  assertEqual(changes.length, 1, 'One change should be reported once the sequence completes');
+  assertEqual(changes[0].screenBefore.trim(), '', 'Change should start from the screen before the first chunk');
+  assertEqual(changes[0].screenAfter.split('\n')[0].trimEnd(), 'xbc', 'Change should include both chunks');
+  assertEqual(changes[0].inputData, 'abc\x1B[1;1Hx', 'Input data should cover both chunks');
+});
+
+test('Bytes of an escape sequence split across chunks', () => {
+  const term = new VirtualTerminal(20, 2);
+  let changes = 0;
+  term.onScreenChange(() => changes++);
+
+  const bytes = new TextEncoder().encode('\x1B[31mred\x1B[0m \x1B[2Cok');
+  for (let i = 0; i < bytes.length; i += 3) {
+    term.writeBytes(bytes.subarray(i, i + 3));
+  }
+
+  assertEqual(firstLine(term), 'red   ok', 'Text should be placed as if written at once');
+  assertEqual(term.buffer[0][0].attr.fg, 'red', 'SGR split across chunks should apply');
+  assertEqual(changes <= 4, true, `Chunks ending mid-sequence should not produce frames (got ${changes})`);
+});
+
+test('flush reports a change held back by an unterminated string', () => {
+  const term = new VirtualTerminal(20, 2);
+  let changes = 0;
+  term.onScreenChange(() => changes++);
+
+  term.write('text\x1B]0;title never terminated');
+  assertEqual(changes, 0, 'Change should be held back');
+
+  term.flush();
+  assertEqual(changes, 1, 'flush should report the pending change');
+  term.flush();
+  assertEqual(changes, 1, 'Second flush should have nothing to report');
+});
+
+test('Long strings do not hold back changes indefinitely', () => {
+  const term = new VirtualTerminal(20, 2);
+  let changes = 0;
+  term.onScreenChange(() => changes++);
+
+  term.write('hello\x1BPq');
+  const chunk = '#0;2;0;0;0~~~~@@@@-'.repeat(1000);
+  for (let i = 0; i < 20; i++) {
+    term.write(chunk);
+  }
+  assertEqual(changes, 1, 'Visible text should be reported while the string goes on');
+  assertEqual(term.pendingInput.length <= 64 * 1024, true, `Held input should be capped (got ${term.pendingInput.length})`);
+
+  term.write('\x1B\\!');
+  assertEqual(term.toString().split('\n')[0].trimEnd(), 'hello!', 'String should still be consumed whole');
+  assertEqual(changes, 2, 'Text after the string should be reported');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All byte input tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
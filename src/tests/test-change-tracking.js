@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Test Change Tracking
+ *
+ * Tests dirty-row tracking: changed row indices and the damage rectangle in
+ * onScreenChange payloads
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+
+console.log('🩹 Testing Change Tracking\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+// Terminal that records every change payload
+function trackedTerminal(cols, rows) {
+  const term = new VirtualTerminal(cols, rows);
+  const changes = [];
+  term.onScreenChange((change) => changes.push(change));
+  return { term, changes };
+}
+
+test('Only rows whose text changed are reported', () => {
+  const { term, changes } = trackedTerminal(20, 6);
+  term.write('\x1B[2;3Hab\x1B[5;1Hxyz');
+
+  assertEqual(JSON.stringify(changes[0].changedRows), '[1,4]', 'Rows 1 and 4 should be reported');
+  assertEqual(JSON.stringify(changes[0].damage), '{"top":1,"bottom":4,"left":0,"right":3}', 'Damage should cover both writes');
+});
+
+test('Rewriting the same text is not a change', () => {
+  const { term, changes } = trackedTerminal(20, 4);
+  term.write('\x1B[1;1Hstatus: ok');
+  term.write('\x1B[1;1Hstatus: ok');
+  term.write('\x1B[1;1H\x1B[31mstatus: ok');
+
+  assertEqual(changes.length, 1, 'Identical redraws should not produce frames');
+});
+
+test('Scrolling reports every row that moved', () => {
+  const { term, changes } = trackedTerminal(10, 3);
+  term.write('1\r\n2\r\n3');
+  term.write('\r\n4');
+
+  assertEqual(JSON.stringify(changes[1].changedRows), '[0,1,2]', 'All rows should be reported after a scroll');
+  assertEqual(changes[1].screenAfter.split('\n').map(line => line.trim()).join('|'), '2|3|4', 'Screen text should be built from the tracked rows');
+  assertEqual(changes[1].screenBefore.split('\n').map(line => line.trim()).join('|'), '1|2|3', 'Previous screen should be kept');
+});
+
+test('Screen switches and resizes mark everything dirty', () => {
+  const { term, changes } = trackedTerminal(10, 3);
+  term.write('main');
+  term.write('\x1B[?1049h');
+  assertEqual(JSON.stringify(changes[1].changedRows), '[0]', 'Switching to a blank screen should report the non-blank row');
+
+  term.write('\x1B[?1049l');
+  term.resize(12, 2);
+  term.write('');
+  assertEqual(changes.length, 4, 'Resize should produce a change once the next write arrives');
+});
+
+test('Screen hash follows the reported text', () => {
+  const term = new VirtualTerminal(10, 3);
+  const before = term.getScreenHash();
+  term.write('abc');
+  const after = term.getScreenHash();
+  term.write('\x1B[1;1Habc');
+
+  assertEqual(before !== after, true, 'Hash should change with the screen');
+  assertEqual(term.getScreenHash(), after, 'Hash should not change for identical text');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All change tracking tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Test Command Notifications
+ *
+ * Tests the messages the text bot sends when a long-running command finishes: threshold,
+ * duration format, exit codes and the output tail
+ */
+
+import { formatCommandNotification, formatDuration, shouldNotify } from '../command-notification.js';
+
+console.log('⏱️ Testing Command Notifications\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+test('Threshold', () => {
+  assertEqual(shouldNotify(9999, 10), false, 'Shorter commands should not notify');
+  assertEqual(shouldNotify(10000, 10), true, 'Commands reaching the threshold should notify');
+  assertEqual(shouldNotify(3600000, 0), false, 'A threshold of 0 should turn notifications off');
+});
+
+test('Duration format', () => {
+  assertEqual(formatDuration(45400), '45s', 'Seconds');
+  assertEqual(formatDuration(125000), '2m 05s', 'Minutes and seconds');
+  assertEqual(formatDuration(3725000), '1h 02m', 'Hours and minutes');
+});
+
+test('Exit codes and entities', () => {
+  const failed = formatCommandNotification({ command: 'make all', output: 'a\nb\nc\nd', exitCode: 2, duration: 65000 }, { lines: 3 });
+  assertEqual(failed.text, '❌ make all exited with 2 after 1m 05s\nb\nc\nd', 'Failed command with the last lines');
+  assertEqual(JSON.stringify(failed.entities), JSON.stringify([
+    { type: 'code', offset: 2, length: 8 },
+    { type: 'pre', offset: 38, length: 5 }
+  ]), 'Command should be code and the output a code block');
+
+  const succeeded = formatCommandNotification({ command: 'sleep 20', output: '', exitCode: 0, duration: 20000 });
+  assertEqual(succeeded.text, '✅ sleep 20 finished in 20s', 'Succeeded command without output');
+  assertEqual(succeeded.entities.length, 1, 'No code block without output');
+
+  const unknown = formatCommandNotification({ command: '', output: 'done', exitCode: null, duration: 12000 });
+  assertEqual(unknown.text, '⏹️ Command finished in 12s\ndone', 'Unknown exit code and command');
+  assertEqual(unknown.entities[1].offset, '⏹️ Command finished in 12s'.length + 1, 'Offsets count UTF-16 units');
+});
+
+test('Output tail is truncated', () => {
+  const output = Array.from({ length: 50 }, (_, i) => `line ${i}`).join('\n');
+  const tail = formatCommandNotification({ command: 'seq', output, exitCode: 0, duration: 11000 }, { lines: 2 });
+  assertEqual(tail.text.split('\n').slice(1).join('\n'), 'line 48\nline 49', 'Only the last lines should be kept');
+
+  const long = formatCommandNotification({ command: 'yes', output: 'y'.repeat(100) + 'END', exitCode: 0, duration: 11000 }, { maxLength: 60 });
+  assertEqual(long.text.length, 60, 'Message should fit maxLength');
+  assertEqual(long.text.endsWith('END'), true, 'The end of the output should be kept');
+  assertEqual(long.entities[1].offset + long.entities[1].length, 60, 'Code block should cover the rest');
+
+  const none = formatCommandNotification({ command: 'seq', output, exitCode: 0, duration: 11000 }, { lines: 0 });
+  assertEqual(none.text, '✅ seq finished in 11s', 'No output with 0 lines');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All command notification tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+/**
+ * Test Editing Sequences
+ *
+ * Tests the CSI editing and positioning sequences used by readline and ncurses
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+
+console.log('✏️ Testing Editing Sequences\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertPosition(term, x, y, message) {
+  const pos = term.getCursorPosition();
+  if (pos.x !== x || pos.y !== y) {
+    throw new Error(`${message}\n   Expected cursor at (${x}, ${y})\n   Actual cursor at (${pos.x}, ${pos.y})`);
+  }
+}
+
+function line(term, y) {
+  return term.toString().split('\n')[y];
+}
+
+test('ICH inserts blank characters (ESC[@)', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('abcdefghij');
+  term.write('\x1B[1;3H\x1B[2@');
+
+  assertEqual(line(term, 0), 'ab  cdefgh', 'Characters should shift right and fall off the edge');
+  assertPosition(term, 2, 0, 'ICH should not move the cursor');
+});
+
+test('ECH erases characters without shifting (ESC[X)', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('abcdefghij');
+  term.write('\x1B[1;3H\x1B[3X');
+
+  assertEqual(line(term, 0), 'ab   fghij', 'Three characters should be blanked in place');
+  term.write('\x1B[1;9H\x1B[20X');
+  assertEqual(line(term, 0), 'ab   fgh  ', 'ECH should stop at the end of the line');
+});
+
+test('REP repeats the last printed character (ESC[b)', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('-\x1B[4b|');
+
+  assertEqual(line(term, 0), '-----|    ', 'Dash should be repeated 4 more times');
+
+  const started = Date.now();
+  term.write('\x1B[2000000000b');
+  assertEqual(Date.now() - started < 1000, true, 'Huge repeat counts should be capped');
+  assertEqual(line(term, 0), '||||||||||', 'Capped repeat should still fill the screen');
+});
+
+test('CNL and CPL move to the start of next/previous lines (ESC[E, ESC[F)', () => {
+  const term = new VirtualTerminal(10, 5);
+  term.write('\x1B[2;5H\x1B[2E');
+  assertPosition(term, 0, 3, 'CNL should move down 2 lines to column 0');
+
+  term.write('\x1B[4G\x1B[3F');
+  assertPosition(term, 0, 0, 'CPL should move up 3 lines to column 0');
+});
+
+test('HPA, HPR and VPR (ESC[`, ESC[a, ESC[e)', () => {
+  const term = new VirtualTerminal(10, 5);
+  term.write('\x1B[2;2H\x1B[5`');
+  assertPosition(term, 4, 1, 'HPA should move to absolute column 5');
+
+  term.write('\x1B[3a');
+  assertPosition(term, 7, 1, 'HPR should move 3 columns right');
+
+  term.write('\x1B[2e');
+  assertPosition(term, 7, 3, 'VPR should move 2 rows down');
+
+  term.write('\x1B[20a\x1B[20e');
+  assertPosition(term, 9, 4, 'Relative moves should stop at the screen edge');
+});
+
+test('CHA and VPA (ESC[G, ESC[d)', () => {
+  const term = new VirtualTerminal(10, 5);
+  term.write('\x1B[3;3H\x1B[7G');
+  assertPosition(term, 6, 2, 'CHA should keep the row');
+
+  term.write('\x1B[5d');
+  assertPosition(term, 6, 4, 'VPA should keep the column');
+
+  term.write('\x1B[G\x1B[d');
+  assertPosition(term, 0, 0, 'Missing parameters should default to 1');
+});
+
+test('CBT moves back to previous tab stops (ESC[Z)', () => {
+  const term = new VirtualTerminal(30, 2);
+  term.write('\x1B[1;20H\x1B[Z');
+  assertPosition(term, 16, 0, 'CBT should move to the previous tab stop');
+
+  term.write('\x1B[5Z');
+  assertPosition(term, 0, 0, 'CBT should stop at the first column');
+});
+
+test('Custom tab stops with HTS and TBC (ESC H, ESC[g, ESC[3g)', () => {
+  const term = new VirtualTerminal(30, 2);
+  term.write('\x1B[3g');           // Clear all tab stops
+  term.write('\x1B[1;5H\x1BH');     // Set stops at columns 4 and 12
+  term.write('\x1B[1;13H\x1BH');
+  term.write('\r\tA\tB\tC');
+
+  assertEqual(line(term, 0).substring(0, 14), '    A       B ', 'Tabs should use the custom stops');
+  assertEqual(line(term, 0)[29], 'C', 'Tab past the last stop should reach the last column');
+
+  term.write('\x1B[1;5H\x1B[g\r\tX');
+  assertEqual(line(term, 0)[12], 'X', 'ESC[g should clear the stop at the cursor');
+});
+
+test('CHT and CBT use the tab stop table (ESC[I, ESC[Z)', () => {
+  const term = new VirtualTerminal(30, 2);
+  term.write('\x1B[2I');
+  assertPosition(term, 16, 0, 'CHT should move forward two default stops');
+
+  term.write('\x1B[3g\x1B[1;11H\x1BH\x1B[1;20H\x1B[Z');
+  assertPosition(term, 10, 0, 'CBT should move back to the custom stop');
+});
+
+test('Tab stops reset on resize and reset', () => {
+  const term = new VirtualTerminal(30, 2);
+  term.write('\x1B[3g');
+  term.resize(40, 2);
+  term.write('\tA');
+  assertEqual(line(term, 0)[8], 'A', 'Resize should restore default stops');
+
+  term.write('\x1B[3g');
+  term.reset();
+  term.write('\tB');
+  assertEqual(line(term, 0)[8], 'B', 'Reset should restore default stops');
+});
+
+test('Vertical movement stops at the scroll region margins', () => {
+  const term = new VirtualTerminal(10, 10);
+  term.write('\x1B[3;6r');
+  term.write('\x1B[4;1H\x1B[10B');
+  assertPosition(term, 0, 5, 'CUD inside the region should stop at the bottom margin');
+
+  term.write('\x1B[10F');
+  assertPosition(term, 0, 2, 'CPL inside the region should stop at the top margin');
+
+  term.write('\x1B[8;1H\x1B[10B');
+  assertPosition(term, 0, 9, 'CUD below the region should stop at the screen edge');
+});
+
+test('Readline-style line editing leaves no stale characters', () => {
+  const term = new VirtualTerminal(20, 2);
+  term.write('$ echo hello world');
+  // Move back over "hello ", delete it and redraw the tail like readline does
+  term.write('\x1B[11D\x1B[6P');
+  assertEqual(line(term, 0), '$ echo world        ', 'Deleted word should disappear');
+
+  term.write('\x1B[3@big');
+  assertEqual(line(term, 0), '$ echo bigworld     ', 'Inserted text should shift the tail right');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All editing sequence tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
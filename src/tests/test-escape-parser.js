@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Test Escape Sequence Parser
+ *
+ * Tests the DEC ANSI parser states: strings (OSC, DCS, APC, PM, SOS), 8-bit C1 controls,
+ * private markers, sub-parameters and the OSC/DCS handler hooks
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+import EscapeParser from '../escape-parser.js';
+
+console.log('🧩 Testing Escape Sequence Parser\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function firstLine(term) {
+  return term.toString().split('\n')[0].trimEnd();
+}
+
+// Parser with a handler that records every callback as a string
+function recordingParser() {
+  const calls = [];
+  const parser = new EscapeParser({
+    print: (char) => calls.push(`print ${char}`),
+    execute: (code) => calls.push(`execute ${code.toString(16)}`),
+    escDispatch: (finalChar, intermediates) => calls.push(`esc ${intermediates}${finalChar}`),
+    csiDispatch: (finalChar, params, prefix, intermediates) =>
+      calls.push(`csi ${prefix}|${JSON.stringify(params)}|${intermediates}${finalChar}`),
+    oscDispatch: (data) => calls.push(`osc ${data}`),
+    dcsDispatch: (finalChar, params, prefix, intermediates, data) =>
+      calls.push(`dcs ${prefix}${intermediates}${finalChar}|${JSON.stringify(params)}|${data}`)
+  });
+  return { parser, calls };
+}
+
+test('DCS, APC, PM and SOS strings do not reach the screen', () => {
+  const term = new VirtualTerminal(20, 2);
+  term.write('a\x1BP1$qm\x1B\\b\x1B_apc\x1B\\c\x1B^pm\x1B\\d\x1BXsos\x1B\\e');
+
+  assertEqual(firstLine(term), 'abcde', 'Only the text between the strings should be printed');
+});
+
+test('CSI parameters, private markers and intermediates are kept separately', () => {
+  const { parser, calls } = recordingParser();
+  parser.parse('\x1B[>4;1m\x1B[=1c\x1B[?2004$p\x1B[5;H\x1B[m');
+
+  assertEqual(calls[0], 'csi >|[4,1]|m', 'Private marker should be reported as a prefix');
+  assertEqual(calls[1], 'csi =|[1]|c', '= marker should be recognized');
+  assertEqual(calls[2], 'csi ?|[2004]|$p', 'Intermediates should follow the parameters');
+  assertEqual(calls[3], 'csi |[5,0]|H', 'Omitted parameters should be 0');
+  assertEqual(calls[4], 'csi |[]|m', 'No parameters should give an empty list');
+});
+
+test('Colon sub-parameters', () => {
+  const { parser, calls } = recordingParser();
+  parser.parse('\x1B[4:3;38:2::255:0:10m');
+
+  assertEqual(calls[0], 'csi |[[4,3],[38,2,null,255,0,10]]|m', 'Sub-parameters should become arrays');
+});
+
+test('Sub-parameters outside SGR use their first part', () => {
+  const term = new VirtualTerminal(10, 4);
+  term.write('\x1B[2:3;4:1Ha\x1B[:5Cb\x1B[1:2Ac\x1B[3:1dd');
+  const lines = term.toString().split('\n').map(line => line.trimEnd());
+  assertEqual(JSON.stringify(lines), JSON.stringify(['      c', '   a b', '       d', '']),
+    'Cursor movement should use the first part of each parameter');
+
+  term.write('\x1B[1:1;3:5r\x1B[3;1H\nx');
+  assertEqual(term.scrollRegion.top, 0, 'Scroll region top should be the first part');
+  assertEqual(term.scrollRegion.bottom, 2, 'Scroll region bottom should be the first part');
+  assertEqual(term.toString().split('\n')[2].trimEnd(), 'x', 'Region should still scroll');
+});
+
+test('Private markers only apply where a sequence defines them', () => {
+  const term = new VirtualTerminal(10, 4);
+  term.write('1\r\n2\r\n3\r\n4\x1B[2;3r\x1B[2;2H');
+  term.write('\x1B[?1;1;0S\x1B[>0T\x1B[?1r\x1B[?1J');
+  const lines = term.toString().split('\n').map(line => line.trimEnd());
+  assertEqual(JSON.stringify(lines), JSON.stringify(['1', '2', '3', '4']), 'Screen should not scroll or erase');
+  assertEqual(term.scrollRegion.top, 1, 'Scroll region top should be kept');
+  assertEqual(term.scrollRegion.bottom, 2, 'Scroll region bottom should be kept');
+  assertEqual(JSON.stringify(term.cursor), JSON.stringify({ x: 1, y: 1 }), 'Cursor should not move');
+
+  term.write('\x1B[?25l');
+  assertEqual(term.cursorVisible, false, 'DEC private modes should still apply');
+});
+
+test('Malformed CSI sequences are ignored', () => {
+  const term = new VirtualTerminal(20, 2);
+  term.write('a\x1B[1?2Hb\x1B[1 2Hc');
+
+  assertEqual(firstLine(term), 'abc', 'Sequences with misplaced markers should be dropped whole');
+});
+
+test('8-bit C1 controls', () => {
+  const term = new VirtualTerminal(20, 3);
+  term.write('ab\u009B2;5Hc\u009D0;title\u009Cd\u0085e');
+
+  const lines = term.toString().split('\n').map(line => line.trimEnd());
+  assertEqual(lines[0], 'ab', 'C1 CSI should move the cursor');
+  assertEqual(lines[1], '    cd', 'C1 OSC should be consumed up to C1 ST');
+  assertEqual(lines[2], 'e', 'NEL should move to the next line start');
+});
+
+test('CAN and SUB cancel a sequence, ESC restarts it', () => {
+  const term = new VirtualTerminal(20, 2);
+  term.write('a\x1B[3\x18b\x1B[1\x1B[2Cc');
+
+  assertEqual(firstLine(term), 'ab  c', 'Cancelled sequence should be dropped and the second one applied');
+});
+
+test('C0 controls inside a CSI sequence are executed', () => {
+  const { parser, calls } = recordingParser();
+  parser.parse('\x1B[1\r2H');
+
+  assertEqual(calls.join(','), 'execute d,csi |[12]|H', 'CR should execute without breaking the sequence');
+});
+
+test('OSC handlers receive payloads terminated by BEL or ST', () => {
+  const term = new VirtualTerminal(20, 2);
+  const titles = [];
+  const unsubscribe = term.registerOscHandler(2, (data) => titles.push(data));
+
+  term.write('\x1B]2;first\x07\x1B]2;ünï;cödé\x1B\\\x1B]0;other\x07');
+  assertEqual(titles.join('|'), 'first|ünï;cödé', 'Only OSC 2 payloads should be delivered, in full');
+
+  unsubscribe();
+  term.write('\x1B]2;ignored\x07');
+  assertEqual(titles.length, 2, 'Unsubscribed handler should not be called');
+  assertEqual(firstLine(term), '', 'OSC payloads should not be printed');
+});
+
+test('DCS handlers receive the payload and parameters', () => {
+  const term = new VirtualTerminal(20, 2);
+  const received = [];
+  term.registerDcsHandler('$q', (data, params) => received.push(`${JSON.stringify(params)} ${data}`));
+
+  term.write('\x1BP1$q"p\x1B\\\x1BP+q544e\x1B\\');
+  assertEqual(received.join('|'), '[1] "p', 'Only the matching DCS should be delivered');
+});
+
+test('Sequences split across writes', () => {
+  const term = new VirtualTerminal(20, 2);
+  term.write('a\x1B');
+  assertEqual(term.parser.isInGround(), false, 'Parser should wait for the rest of the sequence');
+  term.write('[3');
+  term.write('Cb');
+
+  assertEqual(firstLine(term), 'a   b', 'Split CSI should still move the cursor');
+  assertEqual(term.parser.isInGround(), true, 'Parser should be back in ground state');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All escape parser tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Test Frame Scheduler
+ *
+ * Tests coalescing of screen changes into frames: quiet interval, maximum latency
+ * and synchronized updates (ESC[?2026h/l)
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+
+console.log('🎞️ Testing Frame Scheduler\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Terminal with short frame timing that records every frame
+function framedTerminal(options = {}) {
+  const term = new VirtualTerminal(20, 4, { frameInterval: 30, frameMaxLatency: 200, ...options });
+  const frames = [];
+  const unsubscribe = term.onFrame((frame) => frames.push(frame));
+  return { term, frames, unsubscribe };
+}
+
+await test('Writes in quick succession become one frame', async () => {
+  const { term, frames, unsubscribe } = framedTerminal();
+  term.write('a');
+  term.write('\r\nb');
+  term.write('\r\nc');
+  assertEqual(frames.length, 0, 'No frame should be emitted synchronously');
+
+  await sleep(80);
+  assertEqual(frames.length, 1, 'Changes should be coalesced into one frame');
+  assertEqual(frames[0].changeCount, 3, 'Frame should count the coalesced changes');
+  assertEqual(JSON.stringify(frames[0].changedRows), '[0,1,2]', 'Changed rows should be merged');
+  assertEqual(frames[0].screenText.split('\n')[2].trimEnd(), 'c', 'Frame should carry the final screen');
+  unsubscribe();
+});
+
+await test('Continuous output still produces frames at the maximum latency', async () => {
+  const { term, frames, unsubscribe } = framedTerminal({ frameMaxLatency: 100 });
+  for (let i = 0; i < 12; i++) {
+    term.write(`\r${i} `);
+    await sleep(15);
+  }
+
+  assertEqual(frames.length >= 1, true, 'Output that never pauses should not starve frames');
+  assertEqual(frames[0].latency <= 150, true, `First frame should not be late (latency ${frames[0].latency}ms)`);
+  unsubscribe();
+});
+
+await test('Synchronized update holds frames until it ends', async () => {
+  const { term, frames, unsubscribe } = framedTerminal();
+  term.write('\x1B[?2026hhalf');
+  assertEqual(term.isModeSet(2026), true, 'Mode 2026 should be reported as set');
+
+  await sleep(80);
+  assertEqual(frames.length, 0, 'Frame should wait for the end of the update');
+
+  term.write(' done\x1B[?2026l');
+  assertEqual(frames.length, 1, 'Ending the update should emit the due frame');
+  assertEqual(frames[0].screenText.split('\n')[0].trimEnd(), 'half done', 'Frame should show the complete update');
+  unsubscribe();
+});
+
+await test('Synchronized update times out', async () => {
+  const { term, frames, unsubscribe } = framedTerminal({ syncUpdateTimeout: 60 });
+  term.write('\x1B[?2026hstuck');
+
+  await sleep(120);
+  assertEqual(frames.length, 1, 'Frame should be emitted after the timeout');
+  assertEqual(term.isModeSet(2026), false, 'Timed out update should no longer hold frames');
+  unsubscribe();
+});
+
+await test('Synchronized update without frame listeners holds nothing', async () => {
+  const term = new VirtualTerminal(20, 3);
+  term.write('\x1B[?2026hquiet');
+  assertEqual(term.isModeSet(2026), false, 'Frames should not be held');
+  assertEqual(term.frameScheduler.syncTimer, null, 'No sync timeout should be started');
+  term.write('\x1B[?2026l');
+});
+
+await test('flushFrame emits immediately and unsubscribing cancels', async () => {
+  const { term, frames, unsubscribe } = framedTerminal();
+  term.write('now');
+  term.flushFrame();
+  assertEqual(frames.length, 1, 'flushFrame should emit the pending frame');
+
+  term.write(' later');
+  unsubscribe();
+  await sleep(60);
+  assertEqual(frames.length, 1, 'No frame should follow unsubscribing');
+});
+
+await test('requestFrame joins header changes with the screen changes', async () => {
+  const { term, frames, unsubscribe } = framedTerminal();
+  const titles = [];
+  term.on('title', () => term.requestFrame());
+  term.onFrame(() => titles.push(term.title));
+
+  term.write('\x1B]2;vim\x07\x1B[?1049hediting');
+  await sleep(80);
+  assertEqual(frames.length, 1, 'Title and screen change should make one frame');
+  assertEqual(titles[0], 'vim', 'Frame should see the new title');
+  assertEqual(frames[0].screenText.trimEnd(), 'editing', 'Frame should see the whole write');
+
+  term.write('\x1B]2;shell\x07');
+  await sleep(80);
+  assertEqual(frames.length, 2, 'A title change alone should still make a frame');
+  assertEqual(JSON.stringify(frames[1].changedRows), '[]', 'No rows changed');
+  unsubscribe();
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All frame scheduler tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test HTML Export
+ *
+ * Tests toHTML() with inline styles and CSS classes
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+import { terminalStylesheet } from '../html-encoder.js';
+
+console.log('🌐 Testing HTML Export\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertIncludes(html, part, message) {
+  if (!html.includes(part)) {
+    throw new Error(`${message}\n   Expected to find: ${JSON.stringify(part)}\n   In: ${JSON.stringify(html)}`);
+  }
+}
+
+// The lines inside the <pre> element
+function htmlLines(html) {
+  return html.replace(/^<pre[^>]*>/, '').replace(/<\/pre>$/, '').split('\n');
+}
+
+test('Plain text is escaped and wrapped in <pre>', () => {
+  const term = new VirtualTerminal(12, 2);
+  term.write('<a & "b">');
+  const html = term.toHTML({ cursor: false });
+
+  assertEqual(html.startsWith('<pre class="term" style="'), true, 'Output should be a styled <pre>');
+  assertEqual(htmlLines(html).join('|'), '&lt;a &amp; &quot;b&quot;&gt;|', 'Text should be escaped and trailing blanks dropped');
+});
+
+test('Inline styles for colors and attributes', () => {
+  const term = new VirtualTerminal(20, 2);
+  term.write('\x1B[1;31mred\x1B[0m \x1B[3;48;5;196mx\x1B[0m \x1B[4:3;58;5;2;38;2;1;2;3mc\x1B[0m \x1B[7mr');
+  const line = htmlLines(term.toHTML({ cursor: false }))[0];
+
+  assertIncludes(line, '<span style="color:#cd0000;font-weight:bold">red</span>', 'Bold red should be one span');
+  assertIncludes(line, '<span style="background-color:#ff0000;font-style:italic">x</span>', 'Palette background should resolve to hex');
+  assertIncludes(line, 'color:#010203;text-decoration:underline;text-decoration-style:wavy;text-decoration-color:#00cd00', 'Truecolor and styled underline should be kept');
+  assertIncludes(line, '<span style="color:#000000;background-color:#e5e5e5">r</span>', 'Reverse should swap the default colors');
+});
+
+test('CSS classes', () => {
+  const term = new VirtualTerminal(20, 2);
+  term.write('\x1B[1;31mred\x1B[0m \x1B[7;42mrev\x1B[0m \x1B[38;2;1;2;3mtc');
+  const html = term.toHTML({ classes: true, classPrefix: 'vt', cursor: false });
+
+  assertEqual(html.startsWith('<pre class="vt">'), true, 'Class output should have no inline style on <pre>');
+  assertIncludes(html, '<span class="vt-fg-red vt-bold">red</span>', 'Palette colors should become classes');
+  assertIncludes(html, '<span class="vt-fg-green vt-bg-inverse">rev</span>', 'Reverse should swap colors through classes');
+  assertIncludes(html, '<span style="color:#010203">tc</span>', 'Truecolor should stay inline');
+
+  const css = terminalStylesheet('vt');
+  assertIncludes(css, '.vt-fg-red { color: #cd0000; }', 'Stylesheet should define ANSI colors');
+  assertIncludes(css, '.vt-bg-196 { background-color: #ff0000; }', 'Stylesheet should define the 256-color palette');
+});
+
+test('Cursor is marked', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('ab中\x1B[1;3H');
+  assertIncludes(term.toHTML(), '<span class="term-cursor" style="color:#000000;background-color:#e5e5e5">中</span>', 'Cursor cell should be reversed and marked');
+
+  term.write('\x1B[2;5H');
+  assertEqual(htmlLines(term.toHTML())[1], '    <span class="term-cursor" style="color:#000000;background-color:#e5e5e5"> </span>', 'Cursor on a blank should be kept');
+
+  term.write('\x1B[?25l');
+  assertEqual(term.toHTML().includes('term-cursor'), false, 'Hidden cursor should not be drawn');
+});
+
+test('Scrollback is included on request', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('one\r\ntwo\r\nthree');
+  const lines = htmlLines(term.toHTML({ scrollback: true, cursor: false }));
+
+  assertEqual(lines.join('|'), 'one|two|three', 'History should come before the screen');
+  assertEqual(htmlLines(term.toHTML({ cursor: false })).join('|'), 'two|three', 'History should be left out by default');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All HTML export tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Test OSC Sequences
+ *
+ * Tests window title, icon name (OSC 0/1/2), working directory (OSC 7) and their events,
+ * hyperlinks (OSC 8), clipboard writes (OSC 52), desktop notifications (OSC 9/777) and
+ * the bell
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+
+console.log('🏷️ Testing OSC Sequences\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+test('Title and icon name (OSC 0/1/2)', () => {
+  const term = new VirtualTerminal(20, 3);
+  assertEqual(term.title, '', 'Title should start empty');
+
+  term.write('\x1B]0;user@host: ~\x07');
+  assertEqual(term.title, 'user@host: ~', 'OSC 0 should set the title');
+  assertEqual(term.iconName, 'user@host: ~', 'OSC 0 should set the icon name');
+
+  term.write('\x1B]2;vim notes.txt\x1B\\\x1B]1;vim\x07');
+  assertEqual(term.title, 'vim notes.txt', 'OSC 2 terminated by ST should set only the title');
+  assertEqual(term.iconName, 'vim', 'OSC 1 should set only the icon name');
+  assertEqual(term.toString().trim(), '', 'OSC sequences should not print');
+});
+
+test('Working directory (OSC 7)', () => {
+  const term = new VirtualTerminal(20, 3);
+  assertEqual(term.cwd, null, 'Working directory should start unknown');
+
+  term.write('\x1B]7;file://myhost/home/user/my%20project\x07');
+  assertEqual(term.cwd, '/home/user/my project', 'File URL should be decoded to a path');
+
+  term.write('\x1B]7;file:///tmp\x07');
+  assertEqual(term.cwd, '/tmp', 'Empty host should be accepted');
+
+  term.write('\x1B]7;not a url\x07\x1B]7;http://example.com/x\x07');
+  assertEqual(term.cwd, '/tmp', 'Invalid and non-file URLs should be ignored');
+});
+
+test('Events fire only on changes', () => {
+  const term = new VirtualTerminal(20, 3);
+  const events = [];
+  const unsubscribe = term.on('title', (title) => events.push(`title:${title}`));
+  term.on('cwd', (cwd) => events.push(`cwd:${cwd}`));
+
+  term.write('\x1B]2;one\x07\x1B]2;one\x07\x1B]7;file:///a\x07\x1B]2;two\x07');
+  assertEqual(events.join('|'), 'title:one|cwd:/a|title:two', 'Each change should be emitted once');
+
+  unsubscribe();
+  term.write('\x1B]2;three\x07');
+  assertEqual(events.length, 3, 'Unsubscribed listener should not be called');
+});
+
+test('Listeners are validated and isolated', () => {
+  const term = new VirtualTerminal(20, 3);
+  let error = null;
+  try {
+    term.on('title', 'not a function');
+  } catch (e) {
+    error = e;
+  }
+  assertEqual(error?.message, 'Callback must be a function', 'Non-function listener should be rejected');
+
+  const originalConsoleError = console.error;
+  console.error = () => {};
+  let called = false;
+  term.on('title', () => { throw new Error('boom'); });
+  term.on('title', () => { called = true; });
+  term.write('\x1B]2;x\x07');
+  console.error = originalConsoleError;
+  assertEqual(called, true, 'A throwing listener should not stop the others');
+});
+
+test('Title and directory survive snapshots', () => {
+  const term = new VirtualTerminal(20, 3);
+  term.write('\x1B]0;htop\x07\x1B]7;file:///srv\x07');
+  const restored = VirtualTerminal.deserialize(term.serialize());
+
+  assertEqual(restored.title, 'htop', 'Title should be restored');
+  assertEqual(restored.cwd, '/srv', 'Working directory should be restored');
+});
+
+test('Hyperlinks are stored on the linked cells (OSC 8)', () => {
+  const term = new VirtualTerminal(20, 3);
+  term.write('a \x1B]8;id=x1;https://example.com/\x1B\\li\x1B[1mnk\x1B[0m\x1B]8;;\x1B\\ b');
+
+  assertEqual(term.buffer[0][0].attr.link, undefined, 'Text before the link should have no link');
+  assertEqual(JSON.stringify(term.buffer[0][2].attr.link), '{"url":"https://example.com/","id":"x1"}', 'Linked cell should carry url and id');
+  assertEqual(term.buffer[0][5].attr.link?.url, 'https://example.com/', 'SGR reset should not end the link');
+  assertEqual(term.buffer[0][7].attr.link, undefined, 'An empty url should end the link');
+
+  term.write('\x1B[2;1H\x1B]8;;https://example.com/\x07\x1B[K');
+  assertEqual(term.buffer[1][0].attr.link, undefined, 'Erased cells should not carry the link');
+});
+
+test('Visible links are listed per run', () => {
+  const term = new VirtualTerminal(10, 3);
+  term.write('\x1B]8;;https://a.example/\x07first\x1B]8;;\x07 \x1B]8;;https://b.example/\x07second link\x1B]8;;\x07');
+  const links = term.getLinks();
+
+  assertEqual(links.length, 2, 'Two links should be found');
+  assertEqual(links[0].text, 'first', 'Link text should be the linked cells');
+  assertEqual(`${links[1].text}@${links[1].row},${links[1].col}`, 'second link@0,6', 'A link continued by autowrap should be one link');
+});
+
+test('Links survive ANSI and HTML export', () => {
+  const term = new VirtualTerminal(20, 3);
+  term.write('\x1B]8;id=7;https://example.com/?a=1&b=2\x07docs\x1B]8;;\x07 \x1B]8;;javascript:alert(1)\x07bad\x1B]8;;\x07');
+
+  const copy = new VirtualTerminal(20, 3);
+  copy.write(term.toAnsi());
+  assertEqual(JSON.stringify(copy.getLinks()), JSON.stringify(term.getLinks()), 'toAnsi() should replay links as OSC 8');
+
+  const html = term.toHTML({ cursor: false });
+  assertEqual(html.includes('<a href="https://example.com/?a=1&amp;b=2">docs</a>'), true, 'Web links should become anchors');
+  assertEqual(html.includes('javascript:'), false, 'Unsafe link schemes should not become anchors');
+});
+
+test('Clipboard writes are emitted (OSC 52)', () => {
+  const term = new VirtualTerminal(20, 3);
+  const copies = [];
+  term.on('clipboard', (copy) => copies.push(copy));
+  const encoded = Buffer.from('héllo\nwörld').toString('base64');
+
+  term.write(`\x1B]52;c;${encoded}\x07\x1B]52;;${encoded}\x1B\\`);
+  assertEqual(JSON.stringify(copies), JSON.stringify([
+    { selection: 'c', text: 'héllo\nwörld' },
+    { selection: 's0', text: 'héllo\nwörld' }
+  ]), 'Base64 payload should be decoded as UTF-8');
+
+  const responses = [];
+  term.onOutput((data) => responses.push(data));
+  term.write('\x1B]52;c;?\x07\x1B]52;c;not*base64\x07');
+  assertEqual(copies.length, 2, 'Queries and invalid payloads should be ignored');
+  assertEqual(responses.length, 0, 'Clipboard queries should not be answered');
+  assertEqual(term.toString().trim(), '', 'OSC 52 should not print');
+});
+
+test('Paste encoding follows bracketed paste mode', () => {
+  const term = new VirtualTerminal(20, 3);
+  assertEqual(term.encodePaste('ls\npwd\n'), 'ls\rpwd\r', 'Line breaks should be sent as CR');
+
+  term.write('\x1B[?2004h');
+  assertEqual(term.encodePaste('a\nb'), '\x1B[200~a\rb\x1B[201~', 'Text should be wrapped in paste markers');
+  assertEqual(term.encodePaste('x\x1B[201~rm -rf ~\n'), '\x1B[200~xrm -rf ~\r\x1B[201~', 'Markers inside the text should be removed');
+});
+
+test('Bell and desktop notifications (OSC 9/777)', () => {
+  const term = new VirtualTerminal(20, 3);
+  const events = [];
+  term.on('bell', () => events.push('bell'));
+  term.on('notification', (notification) => events.push(notification));
+
+  term.write('Continue? \x07');
+  term.write('\x1B]2;title\x07'); // BEL ending an OSC is not a bell
+  term.write('\x1B]9;Build finished\x07\x1B]777;notify;make;done; 0 errors\x1B\\');
+  term.write('\x1B]9;4;1;50\x07\x1B]777;preexec\x07');
+
+  assertEqual(JSON.stringify(events), JSON.stringify([
+    'bell',
+    { title: '', body: 'Build finished' },
+    { title: 'make', body: 'done; 0 errors' }
+  ]), 'Bell and notifications should be emitted, progress and other commands ignored');
+  assertEqual(term.toString().split('\n')[0].trimEnd(), 'Continue?', 'Bell and OSC should not print');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All OSC sequence tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Test Terminal Query Responses
+ *
+ * Tests that DA, DSR, CPR and DECRQM queries are answered through onOutput
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+
+console.log('📨 Testing Terminal Query Responses\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+// Collect everything the terminal writes back while processing the input
+function query(term, input) {
+  const responses = [];
+  const unsubscribe = term.onOutput((data) => responses.push(data));
+  term.write(input);
+  unsubscribe();
+  return responses.join('');
+}
+
+test('Primary and secondary device attributes (ESC[c, ESC[>c)', () => {
+  const term = new VirtualTerminal(20, 5);
+  assertEqual(query(term, '\x1B[c'), '\x1B[?62;22c', 'Primary DA should report a VT220 with color');
+  assertEqual(query(term, '\x1B[0c'), '\x1B[?62;22c', 'Explicit 0 parameter should also be answered');
+  assertEqual(query(term, '\x1B[>c'), '\x1B[>1;10;0c', 'Secondary DA should be answered');
+});
+
+test('Device status and cursor position reports (ESC[5n, ESC[6n, ESC[?6n)', () => {
+  const term = new VirtualTerminal(20, 5);
+  assertEqual(query(term, '\x1B[5n'), '\x1B[0n', 'Status report should be OK');
+  assertEqual(query(term, '\x1B[3;7H\x1B[6n'), '\x1B[3;7R', 'CPR should report 1-based row and column');
+  assertEqual(query(term, '\x1B[?6n'), '\x1B[?3;7;1R', 'DECXCPR should include the page');
+});
+
+test('Mode requests (DECRQM)', () => {
+  const term = new VirtualTerminal(20, 5);
+  assertEqual(query(term, '\x1B[?7$p'), '\x1B[?7;1$y', 'Autowrap should be reported as set');
+  assertEqual(query(term, '\x1B[?25l\x1B[?25$p'), '\x1B[?25;2$y', 'Hidden cursor should be reported as reset');
+  assertEqual(query(term, '\x1B[?2004h\x1B[?2004$p'), '\x1B[?2004;1$y', 'Generic private modes should be remembered');
+  assertEqual(query(term, '\x1B[?9999$p'), '\x1B[?9999;0$y', 'Unknown modes should be reported as not recognized');
+  assertEqual(query(term, '\x1B[4$p'), '\x1B[4;0$y', 'ANSI modes should use the ANSI reply form');
+});
+
+test('Queries do not change the screen', () => {
+  const term = new VirtualTerminal(20, 5);
+  let changes = 0;
+  term.onScreenChange(() => changes++);
+  query(term, '\x1B[c\x1B[>c\x1B[6n\x1B[?1$p');
+
+  assertEqual(changes, 0, 'Queries should not trigger screen changes');
+});
+
+test('Private-marker sequences are not mistaken for SGR or cursor restore', () => {
+  const term = new VirtualTerminal(20, 5);
+  term.write('\x1B[>4;1mA\x1B[2;2H\x1B[?u');
+
+  assertEqual(term.buffer[0][0].attr.underline, false, 'CSI > 4 ; 1 m should not underline');
+  assertEqual(term.getCursorPosition().x, 1, 'CSI ? u should not restore the cursor');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All query response tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
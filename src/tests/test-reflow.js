@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Test Resize Reflow
+ *
+ * Tests that soft-wrapped lines are rejoined and rewrapped when the terminal is resized
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+
+console.log('↔️ Testing Resize Reflow\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertPosition(term, x, y, message) {
+  const pos = term.getCursorPosition();
+  if (pos.x !== x || pos.y !== y) {
+    throw new Error(`${message}\n   Expected cursor at (${x}, ${y})\n   Actual cursor at (${pos.x}, ${pos.y})`);
+  }
+}
+
+function lines(term) {
+  return term.toString().split('\n').map(line => line.trimEnd());
+}
+
+test('Autowrapped rows are flagged, hard line breaks are not', () => {
+  const term = new VirtualTerminal(5, 4);
+  term.write('abcdefg\r\nhi');
+
+  assertEqual(term.buffer[0].wrapped, true, 'Row continued by autowrap should be flagged');
+  assertEqual(Boolean(term.buffer[1].wrapped), false, 'Row ended by CR LF should not be flagged');
+});
+
+test('Narrowing rewraps long lines instead of cropping them', () => {
+  const term = new VirtualTerminal(12, 4);
+  term.write('hello world!\r\n$ ');
+  term.resize(6, 4);
+
+  assertEqual(lines(term).join('|'), 'hello|world!|$|', 'Line should be split at the new width');
+  assertPosition(term, 2, 2, 'Cursor should stay after the prompt');
+});
+
+test('Widening joins wrapped rows back together', () => {
+  const term = new VirtualTerminal(6, 4);
+  term.write('hello world!\r\n$ ');
+  term.resize(12, 4);
+
+  assertEqual(lines(term).join('|'), 'hello world!|$||', 'Wrapped rows should be joined');
+  assertPosition(term, 2, 1, 'Cursor should follow its line');
+});
+
+test('Reflow includes the scrollback and keeps the cursor on screen', () => {
+  const term = new VirtualTerminal(8, 3);
+  term.write('one\r\ntwo\r\nthree four five\r\n> ');
+  term.resize(4, 3);
+
+  assertPosition(term, 2, 2, 'Cursor should be on the last row');
+  assertEqual(lines(term).join('|'), 'ur f|ive|>', 'Screen should show the end of the output');
+  assertEqual(term.getScrollbackText().split('\n').map(line => line.trimEnd()).join('|'), 'one|two|thre|e fo',
+    'Lines pushed off the screen should go to the scrollback, rewrapped');
+
+  term.resize(20, 3);
+  assertEqual(lines(term).join('|'), 'three four five|>|', 'Scrollback lines should be joined again');
+});
+
+test('Pending wrap and wide characters survive reflow', () => {
+  const term = new VirtualTerminal(5, 3);
+  term.write('abcde');
+  term.resize(8, 3);
+  term.write('f');
+  assertEqual(lines(term)[0], 'abcdef', 'Next character should follow the line, not overwrite it');
+
+  const wide = new VirtualTerminal(5, 3);
+  wide.write('ab中文');
+  wide.resize(4, 3);
+  assertEqual(lines(wide).join('|'), 'ab中|文|', 'Wide padding cells should not be kept as spaces');
+});
+
+test('Alternate screen is cropped, the main screen still reflows', () => {
+  const term = new VirtualTerminal(8, 3);
+  term.write('abcdefghij\x1B[?1049h\x1B[Hfull-app');
+  term.resize(4, 3);
+  assertEqual(lines(term).join('|'), 'full||', 'Alternate screen should be cropped');
+
+  term.write('\x1B[?1049l');
+  assertEqual(lines(term).join('|'), 'abcd|efgh|ij', 'Main screen should have been reflowed');
+});
+
+test('Saved cursor keeps its place in the text', () => {
+  const term = new VirtualTerminal(10, 4);
+  term.write('abcdefghijklmno\x1B[?1049h\x1B[Hvim');
+  term.resize(5, 4);
+  term.write('\x1B[?1049l');
+
+  assertEqual(lines(term).join('|'), 'abcde|fghij|klmno|', 'Main screen should have been reflowed');
+  assertPosition(term, 4, 2, 'Cursor restored by ?1049l should be at the end of klmno');
+
+  const saved = new VirtualTerminal(10, 4);
+  saved.write('abcdefghijklmno\x1B[1;4H\x1B7\x1B[4;1H');
+  saved.resize(4, 6);
+  saved.write('\x1B8');
+  assertPosition(saved, 3, 0, 'DECSC position should follow the text');
+  assertEqual(saved.buffer[0][3].char, 'd', 'Restored cursor should be on the same character');
+  saved.write('\x1B[1;2H\x1B7');
+  saved.resize(10, 6);
+  saved.write('\x1B8');
+  assertPosition(saved, 1, 0, 'Widening should keep the saved position too');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All reflow tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
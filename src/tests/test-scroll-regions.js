@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Test Scroll Regions, Margins and Origin Mode
+ *
+ * Tests DECSTBM, DECSLRM, DECOM and how scrolling, line and character editing honor them
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+
+console.log('📐 Testing Scroll Regions and Margins\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertPosition(term, x, y, message) {
+  const pos = term.getCursorPosition();
+  if (pos.x !== x || pos.y !== y) {
+    throw new Error(`${message}\n   Expected cursor at (${x}, ${y})\n   Actual cursor at (${pos.x}, ${pos.y})`);
+  }
+}
+
+function lines(term) {
+  return term.toString().split('\n');
+}
+
+// Fill each row with a distinct letter so moved lines are easy to spot
+function fillRows(term) {
+  for (let y = 0; y < term.rows; y++) {
+    term.write(`\x1B[${y + 1};1H` + String.fromCharCode(65 + y).repeat(term.cols));
+  }
+}
+
+test('Line feed scrolls at the bottom of the scroll region', () => {
+  const term = new VirtualTerminal(4, 5);
+  fillRows(term);
+  term.write('\x1B[2;4r\x1B[4;1H\n');
+
+  assertEqual(lines(term).join('|'), 'AAAA|CCCC|DDDD|    |EEEE', 'Only rows inside the region should scroll');
+  assertPosition(term, 0, 3, 'Cursor should stay on the bottom margin');
+});
+
+test('Line feed below the region moves without scrolling', () => {
+  const term = new VirtualTerminal(4, 5);
+  fillRows(term);
+  term.write('\x1B[1;3r\x1B[4;1H\n\n\n');
+
+  assertEqual(lines(term).join('|'), 'AAAA|BBBB|CCCC|DDDD|EEEE', 'Screen should not scroll');
+  assertPosition(term, 0, 4, 'Cursor should stop at the last row');
+});
+
+test('Reverse index scrolls down at the top of the region', () => {
+  const term = new VirtualTerminal(4, 5);
+  fillRows(term);
+  term.write('\x1B[2;4r\x1B[2;1H\x1BM');
+
+  assertEqual(lines(term).join('|'), 'AAAA|    |BBBB|CCCC|EEEE', 'Region should scroll down');
+});
+
+test('Insert and delete lines are ignored outside the region', () => {
+  const term = new VirtualTerminal(4, 5);
+  fillRows(term);
+  term.write('\x1B[2;4r\x1B[5;1H\x1B[L\x1B[1;1H\x1B[M');
+
+  assertEqual(lines(term).join('|'), 'AAAA|BBBB|CCCC|DDDD|EEEE', 'IL/DL outside the region should do nothing');
+
+  term.write('\x1B[3;3H\x1B[M');
+  assertEqual(lines(term).join('|'), 'AAAA|BBBB|DDDD|    |EEEE', 'DL inside the region should pull lines up to the bottom margin');
+  assertPosition(term, 0, 2, 'IL/DL should move the cursor to the left margin');
+});
+
+test('Origin mode addresses the cursor relative to the region (ESC[?6h)', () => {
+  const term = new VirtualTerminal(10, 10);
+  term.write('\x1B[3;6r\x1B[?6h');
+  assertPosition(term, 0, 2, 'Enabling origin mode should home to the region top');
+
+  term.write('\x1B[2;4H');
+  assertPosition(term, 3, 3, 'CUP should be relative to the region');
+
+  term.write('\x1B[20;1H');
+  assertPosition(term, 0, 5, 'CUP should be confined to the region');
+
+  const responses = [];
+  term.onOutput((data) => responses.push(data));
+  term.write('\x1B[6n');
+  assertEqual(responses[0], '\x1B[4;1R', 'CPR should report origin-relative positions');
+
+  term.write('\x1B[?6l');
+  assertPosition(term, 0, 0, 'Disabling origin mode should home to the screen origin');
+});
+
+test('Left/right margins (ESC[?69h, DECSLRM)', () => {
+  const term = new VirtualTerminal(8, 3);
+  term.write('\x1B[?69h\x1B[3;6s');
+  assertPosition(term, 0, 0, 'Setting margins should home the cursor');
+
+  term.write('\x1B[1;3Habcdefg');
+  assertEqual(lines(term).join('|'), '  abcd  |  efg   |        ', 'Text should wrap at the right margin to the left margin');
+});
+
+test('Character and line editing inside left/right margins', () => {
+  const term = new VirtualTerminal(8, 3);
+  fillRows(term);
+  term.write('\x1B[?69h\x1B[3;6s');
+
+  term.write('\x1B[1;4H\x1B[P');
+  assertEqual(lines(term)[0], 'AAAAA AA', 'DCH should only shift text up to the right margin');
+
+  term.write('\x1B[2;3H\x1B[2@');
+  assertEqual(lines(term)[1], 'BB  BBBB', 'ICH should drop text at the right margin');
+
+  term.write('\x1B[1;3H\x1B[L');
+  assertEqual(lines(term).join('|'), 'AA    AA|BBAAA BB|CC  BBCC', 'IL should only move the columns inside the margins');
+});
+
+test('Save cursor still works without left/right margin mode', () => {
+  const term = new VirtualTerminal(8, 3);
+  term.write('\x1B[2;5H\x1B[s\x1B[H\x1B[u');
+  assertPosition(term, 4, 1, 'CSI s should save the cursor when DECLRMM is off');
+});
+
+test('Index does not return the carriage', () => {
+  const term = new VirtualTerminal(8, 3);
+  term.write('abc\x1BDd');
+  assertEqual(lines(term)[1], '   d    ', 'ESC D should move straight down');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All scroll region tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Test Scrollback History
+ *
+ * Tests that lines scrolled off the top of the screen are kept in the history buffer
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+
+console.log('📜 Testing Scrollback History\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+test('Scrolled lines are kept in history', () => {
+  const term = new VirtualTerminal(5, 3);
+  term.write('L1\nL2\nL3\nL4\nL5');
+
+  assertEqual(term.getScrollbackLength(), 2, 'Two lines should be in history');
+  assertEqual(term.getScrollbackText(), 'L1   \nL2   ', 'History should hold the oldest lines in order');
+});
+
+test('History lines keep their attributes', () => {
+  const term = new VirtualTerminal(5, 2);
+  term.write('\x1B[31mR\x1B[0m\nA\nB');
+
+  const [line] = term.getScrollbackLines(0, 1);
+  assertEqual(line[0].char, 'R', 'History cell should keep its character');
+  assertEqual(line[0].attr.fg, 'red', 'History cell should keep its color');
+
+  line[0].attr.fg = 'blue';
+  assertEqual(term.getScrollbackLines(0, 1)[0][0].attr.fg, 'red', 'Returned lines should be copies');
+});
+
+test('History is capped at the configured number of lines', () => {
+  const term = new VirtualTerminal(5, 2, { scrollback: 3 });
+  for (let i = 0; i < 10; i++) {
+    term.write(`L${i}\n`);
+  }
+
+  assertEqual(term.getScrollbackLength(), 3, 'History should not exceed 3 lines');
+  assertEqual(term.getScrollbackText(0, 1), 'L6   ', 'Oldest lines should be evicted first');
+});
+
+test('History is capped by memory limit', () => {
+  const term = new VirtualTerminal(10, 2, { scrollback: 1000, scrollbackMaxBytes: 10 * 1024 });
+  for (let i = 0; i < 100; i++) {
+    term.write(`L${i}\n`);
+  }
+
+  const length = term.getScrollbackLength();
+  assertEqual(length > 0 && length < 100, true, `History should be trimmed by memory cap (got ${length})`);
+});
+
+test('Alternate screen does not populate main history', () => {
+  const term = new VirtualTerminal(5, 2);
+  term.write('A\nB\nC');
+  const before = term.getScrollbackLength();
+
+  term.write('\x1B[?1049h');
+  term.write('1\n2\n3\n4\n5');
+  assertEqual(term.getScrollbackLength(), 0, 'Alternate screen should have no history');
+  term.write('\x1B[?1049l');
+
+  assertEqual(term.getScrollbackLength(), before, 'Main history should be unchanged');
+});
+
+test('Scroll region below the top does not populate history', () => {
+  const term = new VirtualTerminal(5, 4);
+  term.write('\x1B[2;4r');
+  term.write('\x1B[4;1H\n\n\n');
+
+  assertEqual(term.getScrollbackLength(), 0, 'Scrolling inside a region should not add history');
+});
+
+test('ESC[3J clears history', () => {
+  const term = new VirtualTerminal(5, 2);
+  term.write('A\nB\nC\nD');
+  term.write('\x1B[3J');
+
+  assertEqual(term.getScrollbackLength(), 0, 'History should be cleared');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All scrollback tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Test SGR (Select Graphic Rendition) Handling
+ *
+ * Tests that colors and text attributes end up in the cell attributes
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+import { colorToHex } from '../terminal-colors.js';
+
+console.log('🎨 Testing SGR Colors and Attributes\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function cellAt(term, x, y) {
+  return term.buffer[y][x];
+}
+
+test('Basic colors 30-37 and 40-47', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('\x1B[31;42mX');
+  assertEqual(cellAt(term, 0, 0).attr.fg, 'red', 'Foreground should be red');
+  assertEqual(cellAt(term, 0, 0).attr.bg, 'green', 'Background should be green');
+});
+
+test('Bright colors 90-97 and 100-107', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('\x1B[91;104mX');
+  assertEqual(cellAt(term, 0, 0).attr.fg, 'brightRed', 'Foreground should be bright red');
+  assertEqual(cellAt(term, 0, 0).attr.bg, 'brightBlue', 'Background should be bright blue');
+});
+
+test('256-color palette (38;5;n and 48;5;n)', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('\x1B[38;5;196;48;5;3mX');
+  assertEqual(cellAt(term, 0, 0).attr.fg, 196, 'Foreground should be palette index 196');
+  assertEqual(cellAt(term, 0, 0).attr.bg, 'yellow', 'Low palette indexes should map to ANSI names');
+  assertEqual(colorToHex(196), '#ff0000', 'Palette index 196 should resolve to pure red');
+  assertEqual(colorToHex(244), '#808080', 'Palette index 244 should resolve to gray');
+});
+
+test('Truecolor (38;2;r;g;b and 48;2;r;g;b)', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('\x1B[38;2;255;128;0;48;2;1;2;3mX');
+  assertEqual(cellAt(term, 0, 0).attr.fg, '#ff8000', 'Foreground should be truecolor orange');
+  assertEqual(cellAt(term, 0, 0).attr.bg, '#010203', 'Background should be truecolor');
+});
+
+test('Extended colors do not swallow following parameters', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('\x1B[38;5;100;1mX');
+  assertEqual(cellAt(term, 0, 0).attr.fg, 100, 'Foreground should be palette index 100');
+  assertEqual(cellAt(term, 0, 0).attr.bold, true, 'Bold after 38;5;n should still apply');
+});
+
+test('Default color resets 39 and 49', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('\x1B[31;41;1mA\x1B[39mB\x1B[49mC');
+  assertEqual(cellAt(term, 1, 0).attr.fg, 'default', 'SGR 39 should reset foreground');
+  assertEqual(cellAt(term, 1, 0).attr.bg, 'red', 'SGR 39 should keep background');
+  assertEqual(cellAt(term, 2, 0).attr.bg, 'default', 'SGR 49 should reset background');
+  assertEqual(cellAt(term, 2, 0).attr.bold, true, 'Color resets should keep bold');
+});
+
+test('SGR 0 resets colors', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('\x1B[38;2;1;2;3mA\x1B[0mB');
+  assertEqual(cellAt(term, 1, 0).attr.fg, 'default', 'SGR 0 should reset truecolor foreground');
+});
+
+test('Text attributes 1, 2, 3, 5, 7, 8, 9 and 53', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('\x1B[1;2;3;5;7;8;9;53mX');
+  const attr = cellAt(term, 0, 0).attr;
+  assertEqual(attr.bold, true, 'Bold should be set');
+  assertEqual(attr.dim, true, 'Dim should be set');
+  assertEqual(attr.italic, true, 'Italic should be set');
+  assertEqual(attr.blink, 'slow', 'Blink should be slow');
+  assertEqual(attr.reverse, true, 'Reverse should be set');
+  assertEqual(attr.hidden, true, 'Hidden should be set');
+  assertEqual(attr.strikethrough, true, 'Strikethrough should be set');
+  assertEqual(attr.overline, true, 'Overline should be set');
+});
+
+test('Attribute resets 22-29 and 55', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('\x1B[1;2;3;4;5;7;8;9;53m\x1B[22;23;24;25;27;28;29;55mX');
+  const attr = cellAt(term, 0, 0).attr;
+  assertEqual(attr.bold || attr.dim, false, 'SGR 22 should clear bold and dim');
+  assertEqual(attr.italic, false, 'SGR 23 should clear italic');
+  assertEqual(attr.underline, false, 'SGR 24 should clear underline');
+  assertEqual(attr.blink, false, 'SGR 25 should clear blink');
+  assertEqual(attr.reverse, false, 'SGR 27 should clear reverse');
+  assertEqual(attr.hidden, false, 'SGR 28 should clear hidden');
+  assertEqual(attr.strikethrough, false, 'SGR 29 should clear strikethrough');
+  assertEqual(attr.overline, false, 'SGR 55 should clear overline');
+});
+
+test('Underline styles (4, 21, 4:n)', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('\x1B[4mA\x1B[21mB\x1B[4:3mC\x1B[4:5mD\x1B[4:0mE');
+  assertEqual(cellAt(term, 0, 0).attr.underline, 'single', 'SGR 4 should be a single underline');
+  assertEqual(cellAt(term, 1, 0).attr.underline, 'double', 'SGR 21 should be a double underline');
+  assertEqual(cellAt(term, 2, 0).attr.underline, 'curly', 'SGR 4:3 should be a curly underline');
+  assertEqual(cellAt(term, 3, 0).attr.underline, 'dashed', 'SGR 4:5 should be a dashed underline');
+  assertEqual(cellAt(term, 4, 0).attr.underline, false, 'SGR 4:0 should remove the underline');
+});
+
+test('Colon forms of extended colors and underline color', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('\x1B[38:2::10:20:30;48:5:200;58:2:1:2:3mX');
+  const attr = cellAt(term, 0, 0).attr;
+  assertEqual(attr.fg, '#0a141e', 'Colon truecolor with color space id should parse');
+  assertEqual(attr.bg, 200, 'Colon palette color should parse');
+  assertEqual(attr.underlineColor, '#010203', 'Underline color should parse');
+  term.write('\x1B[59mY');
+  assertEqual(cellAt(term, 1, 0).attr.underlineColor, 'default', 'SGR 59 should reset underline color');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All SGR tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
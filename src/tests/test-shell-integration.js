@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Test Shell Integration
+ *
+ * Tests OSC 133 prompt/command/output marks: per-command output and exit codes, the
+ * commandStart/commandFinish events, and marks kept through scrolling, reflow and snapshots
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+
+console.log('🐚 Testing Shell Integration\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+// What the bash hooks write around a prompt, a command line and its output
+const PROMPT = '\x1B]133;A\x07$ \x1B]133;B\x07';
+function runCommand(term, command, output, exitCode) {
+  term.write(`${command}\r\n\x1B]133;C\x07${output}\x1B]133;D;${exitCode}\x07${PROMPT}`);
+}
+
+test('Commands, output and exit codes from marks', () => {
+  const term = new VirtualTerminal(30, 6);
+  assertEqual(term.shellIntegration, false, 'Shell integration should start off');
+  term.write(PROMPT);
+  assertEqual(term.shellIntegration, true, 'A mark should turn shell integration on');
+
+  runCommand(term, 'ls', 'a.txt  b.txt\r\nc.txt\r\n', 0);
+  runCommand(term, 'false', '', 1);
+  term.write('\r\n' + PROMPT); // Empty command line: no output mark
+
+  const commands = term.getCommands();
+  assertEqual(commands.length, 2, 'Only executed commands should be listed');
+  assertEqual(JSON.stringify(commands[0]), JSON.stringify({
+    command: 'ls', output: 'a.txt  b.txt\nc.txt', exitCode: 0, running: false, startLine: 0, endLine: 3
+  }), 'First command should have its output and exit code');
+  assertEqual(commands[1].command, 'false', 'Second command text');
+  assertEqual(commands[1].output, '', 'Second command printed nothing');
+  assertEqual(commands[1].exitCode, 1, 'Second command exit code');
+  assertEqual(term.toString().split('\n')[0].trimEnd(), '$ ls', 'Marks should not print');
+});
+
+test('commandStart and commandFinish events', () => {
+  const term = new VirtualTerminal(30, 6);
+  const events = [];
+  term.on('commandStart', (event) => events.push(['start', event.command]));
+  term.on('commandFinish', (event) => events.push(['finish', event.command, event.output, event.exitCode, typeof event.duration]));
+
+  term.write(PROMPT + 'make\r\n\x1B]133;C\x07');
+  assertEqual(term.commandRunning, true, 'Command should be running after the output mark');
+  assertEqual(term.getCommands()[0].running, true, 'Running command should be listed as running');
+  term.write('building\r\n');
+  assertEqual(term.getCommands()[0].output, 'building', 'Output so far should be available');
+
+  term.write('\x1B]133;D;2\x07' + PROMPT + 'sleep 9\r\n\x1B]133;C\x07^C\r\n' + PROMPT);
+  assertEqual(term.commandRunning, false, 'A new prompt should end the running command');
+  assertEqual(JSON.stringify(events), JSON.stringify([
+    ['start', 'make'],
+    ['finish', 'make', 'building', 2, 'number'],
+    ['start', 'sleep 9'],
+    ['finish', 'sleep 9', '^C', null, 'number']
+  ]), 'Events should follow the marks');
+});
+
+test('Marks scroll into history and reflow with the text', () => {
+  const term = new VirtualTerminal(20, 4);
+  term.write(PROMPT);
+  runCommand(term, 'echo one two three four', 'one two three four five six\r\n', 0);
+  runCommand(term, 'seq 3', '1\r\n2\r\n3\r\n', 0);
+
+  const before = term.getCommands();
+  assertEqual(before[0].output, 'one two three four five six', 'Wrapped output should be joined');
+  if (term.getScrollbackLength() === 0) {
+    throw new Error('First command should have scrolled into the history');
+  }
+
+  term.resize(12, 4);
+  const after = term.getCommands();
+  assertEqual(JSON.stringify(after.map(c => [c.command, c.output, c.exitCode])),
+    JSON.stringify(before.map(c => [c.command, c.output, c.exitCode])), 'Commands should survive reflow');
+
+  term.resize(40, 4);
+  assertEqual(term.getCommands()[1].output, '1\n2\n3', 'Commands should survive widening');
+});
+
+test('Snapshots keep marks; alternate screen and redrawn prompts', () => {
+  const term = new VirtualTerminal(30, 6);
+  term.write(PROMPT);
+  runCommand(term, 'vim', '\x1B[?1049h\x1B]133;A\x07editing\x1B[?1049l', 0);
+  assertEqual(term.getCommands().length, 1, 'Marks on the alternate screen should be ignored');
+
+  // zsh redraws the prompt in place, repeating its marks
+  term.write('\r\x1B[K' + PROMPT + 'pwd\r\n\x1B]133;C\x07/home\r\n\x1B]133;D;0\x07' + PROMPT);
+  assertEqual(JSON.stringify(term.getCommands().map(c => c.command)), JSON.stringify(['vim', 'pwd']),
+    'Redrawn prompt should not add commands');
+
+  const restored = VirtualTerminal.deserialize(term.serialize());
+  assertEqual(JSON.stringify(restored.getCommands()), JSON.stringify(term.getCommands()),
+    'Restored terminal should list the same commands');
+  assertEqual(restored.shellIntegration, true, 'Shell integration state should be restored');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All shell integration tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
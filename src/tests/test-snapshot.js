@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Test Snapshots
+ *
+ * Tests serialize()/VirtualTerminal.deserialize() round trips in JSON and binary form
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+
+console.log('📸 Testing Snapshots\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+// A terminal with some of every kind of state
+function busyTerminal() {
+  const term = new VirtualTerminal(20, 4, { scrollback: 50 });
+  term.write('\x1B[1;38;5;202mbold\x1B[0m 中文 é\r\n');
+  for (let i = 0; i < 5; i++) {
+    term.write(`line ${i}\r\n`);
+  }
+  term.write('a long line that wraps around');
+  term.write('\x1B[?2004h\x1B[3g\x1B[1;5H\x1BH\x1B)0\x1B[4;3H\x1B7\x1B[2;4r\x1B[3;7H\x1B[4:3m');
+  return term;
+}
+
+test('JSON round trip restores screen, history and cursor', () => {
+  const term = busyTerminal();
+  const restored = VirtualTerminal.deserialize(JSON.stringify(term.serialize()));
+
+  assertEqual(restored.toString(), term.toString(), 'Screen text should match');
+  assertEqual(restored.getScrollbackText(), term.getScrollbackText(), 'Scrollback should match');
+  assertEqual(JSON.stringify(restored.getCursorPosition()), JSON.stringify(term.getCursorPosition()), 'Cursor should match');
+  const firstLine = restored.screens.main.scrollback.getRange()[0];
+  assertEqual(firstLine[0].attr.fg, 202, 'Cell colors should be restored');
+  assertEqual(firstLine[5].width, 2, 'Wide characters should be restored');
+  assertEqual(restored.currentAttr.underline, 'curly', 'Current SGR state should be restored');
+});
+
+test('Modes, tab stops, charsets and regions are restored', () => {
+  const restored = VirtualTerminal.deserialize(busyTerminal().serialize());
+
+  assertEqual(restored.isModeSet(2004), true, 'Bracketed paste mode should be restored');
+  assertEqual(JSON.stringify([...restored.tabStops]), '[4]', 'Tab stops should be restored');
+  assertEqual(restored.charset.designations[1], '0', 'G1 designation should be restored');
+  assertEqual(JSON.stringify(restored.scrollRegion), '{"top":1,"bottom":3}', 'Scroll region should be restored');
+
+  restored.write('\x1B8');
+  assertEqual(JSON.stringify(restored.getCursorPosition()), '{"x":2,"y":3}', 'Saved cursor should be restored');
+});
+
+test('Snapshots are stable', () => {
+  const snapshot = busyTerminal().serialize();
+  const again = VirtualTerminal.deserialize(snapshot).serialize();
+
+  assertEqual(JSON.stringify(again), JSON.stringify(snapshot), 'Serializing a restored terminal should give the same snapshot');
+  assertEqual(snapshot.version, 1, 'Snapshot should be versioned');
+});
+
+test('Alternate screen and main screen are both kept', () => {
+  const term = new VirtualTerminal(10, 3);
+  term.write('shell\x1B[?1049h\x1B[Hvim');
+  const restored = VirtualTerminal.deserialize(term.serialize());
+
+  assertEqual(restored.isAltScreen, true, 'Alternate screen should stay active');
+  assertEqual(restored.toString().split('\n')[0].trimEnd(), 'vim', 'Alternate screen content should be restored');
+  restored.write('\x1B[?1049l');
+  assertEqual(restored.toString().split('\n')[0].trimEnd(), 'shell', 'Main screen content should be restored');
+});
+
+test('Binary snapshots', () => {
+  const term = busyTerminal();
+  const binary = term.serializeBinary();
+
+  assertEqual(binary.length < JSON.stringify(term.serialize()).length, true, 'Binary form should be smaller than JSON');
+  assertEqual(VirtualTerminal.deserialize(binary).toString(), term.toString(), 'Binary snapshot should restore the screen');
+});
+
+test('Restored terminal keeps working and reports changes from its restored state', () => {
+  const restored = VirtualTerminal.deserialize(busyTerminal().serialize());
+  const changes = [];
+  restored.onScreenChange((change) => changes.push(change));
+
+  restored.write('\x1B[H');
+  assertEqual(changes.length, 0, 'Restoring should not count as a change');
+  restored.write('X');
+  assertEqual(JSON.stringify(changes[0].changedRows), '[0]', 'Only the written row should change');
+});
+
+test('Unsupported snapshot versions are rejected', () => {
+  const snapshot = new VirtualTerminal(10, 3).serialize();
+  let error = null;
+  try {
+    VirtualTerminal.deserialize({ ...snapshot, version: 99 });
+  } catch (e) {
+    error = e;
+  }
+
+  assertEqual(error?.message, 'Unsupported terminal snapshot version: 99', 'Unknown version should throw');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All snapshot tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
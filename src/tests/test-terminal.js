@@ -80,7 +80,45 @@ tester.test('Line wrapping', () => {
   const lines = term.toString().split('\n');
   tester.assertEqual(lines[0], 'Hello', 'First line should contain "Hello"');
   tester.assertEqual(lines[1], 'World', 'Second line should contain "World"');
-  tester.assertPosition(term, 5, 1, 'Cursor should be at end of second line');
+  tester.assertPosition(term, 4, 1, 'Cursor should stay in the last column of second line');
+});
+
+tester.test('Deferred wrap after writing the last column', () => {
+  const term = new VirtualTerminal(5, 3);
+  term.write('Hello');
+  
+  tester.assertPosition(term, 4, 0, 'Cursor should stay in the last column');
+  tester.assertEqual(term.wrapPending, true, 'Wrap should be pending');
+  
+  term.write('\x1B[K');
+  tester.assertEqual(term.toString().split('\n')[0], 'Hell ', 'Erase in line should start at the last column');
+  
+  term.write('\x1B[1;5Ho!');
+  const lines = term.toString().split('\n');
+  tester.assertEqual(lines[0], 'Hello', 'Cursor movement should cancel the pending wrap');
+  tester.assertEqual(lines[1], '!    ', 'Next character should wrap to the next line');
+});
+
+tester.test('Carriage return cancels pending wrap', () => {
+  const term = new VirtualTerminal(5, 3);
+  term.write('Hello\rJ');
+  
+  const lines = term.toString().split('\n');
+  tester.assertEqual(lines[0], 'Jello', 'Carriage return should return to the same line');
+  tester.assertPosition(term, 1, 0, 'Cursor should be after the overwritten character');
+});
+
+tester.test('Autowrap mode can be disabled (ESC[?7l)', () => {
+  const term = new VirtualTerminal(5, 3);
+  term.write('\x1B[?7lHelloWorld');
+  
+  let lines = term.toString().split('\n');
+  tester.assertEqual(lines[0], 'Helld', 'Characters past the margin should overwrite the last column');
+  tester.assertEqual(lines[1], '     ', 'No wrap should happen');
+  
+  term.write('\x1B[?7h\rHelloWorld');
+  lines = term.toString().split('\n');
+  tester.assertEqual(lines[1], 'World', 'Wrapping should resume after ESC[?7h');
 });
 
 tester.test('Carriage return and line feed', () => {
@@ -219,6 +257,30 @@ tester.test('Backspace handling', () => {
   tester.assertEqual(line.substring(0, 6), 'HellX ', 'Backspace should move cursor back');
 });
 
+// Character set tests
+tester.test('DEC Special Graphics line drawing (ESC(0)', () => {
+  const term = new VirtualTerminal(10, 3);
+  term.write('\x1B(0lqqk\x1B(B\r\n\x1B(0x  x\x1B(Bok');
+  
+  const lines = term.toString().split('\n');
+  tester.assertEqual(lines[0], '┌──┐      ', 'Box top should be drawn with line characters');
+  tester.assertEqual(lines[1], '│  │ok    ', 'ESC(B should switch back to ASCII');
+});
+
+tester.test('G1 charset invoked with SO/SI', () => {
+  const term = new VirtualTerminal(10, 3);
+  term.write('\x1B)0q\x0Eq\x0Fq');
+  
+  tester.assertEqual(term.toString().split('\n')[0], 'q─q       ', 'Only text between SO and SI should use G1');
+});
+
+tester.test('Charset state saved and restored with DECSC/DECRC', () => {
+  const term = new VirtualTerminal(10, 3);
+  term.write('\x1B(0\x1B7\x1B(Bq\x1B8q');
+  
+  tester.assertEqual(term.toString().split('\n')[0], '─         ', 'DECRC should restore the line drawing set');
+});
+
 // Real-world simulation tests
 tester.test('Simulate top-like output', () => {
   const term = new VirtualTerminal(40, 10);
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Test Unicode Cell Model
+ *
+ * Tests wide characters, combining marks, emoji sequences and surrogate pairs
+ */
+
+import VirtualTerminal from '../virtual-terminal.js';
+import { charWidth, stringWidth } from '../unicode-width.js';
+
+console.log('🈶 Testing Unicode Cell Model\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
+  }
+}
+
+function firstLine(term) {
+  return term.toString().split('\n')[0];
+}
+
+test('Character widths', () => {
+  assertEqual(charWidth('a'), 1, 'ASCII is narrow');
+  assertEqual(charWidth('中'), 2, 'CJK ideographs are wide');
+  assertEqual(charWidth('ｱ'), 1, 'Halfwidth katakana is narrow');
+  assertEqual(charWidth('Ａ'), 2, 'Fullwidth latin is wide');
+  assertEqual(charWidth('😀'), 2, 'Emoji are wide');
+  assertEqual(charWidth('\u0301'), 0, 'Combining marks are zero width');
+  assertEqual(stringWidth('日本語abc'), 9, 'String width should sum cell widths');
+});
+
+test('Wide characters occupy two cells', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('中文ab');
+
+  assertEqual(term.buffer[0][0].char, '中', 'First cell should hold the character');
+  assertEqual(term.buffer[0][0].width, 2, 'First cell should be double width');
+  assertEqual(term.buffer[0][1].width, 0, 'Second cell should be a continuation');
+  assertEqual(term.buffer[0][4].char, 'a', 'Narrow text should follow both wide characters');
+  assertEqual(term.getCursorPosition().x, 6, 'Cursor should advance by display width');
+  assertEqual(firstLine(term), '中文ab    ', 'Screen text should not contain placeholder characters');
+});
+
+test('Surrogate pairs are one character', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('😀x');
+
+  assertEqual(term.buffer[0][0].char, '😀', 'Emoji should be stored whole');
+  assertEqual(term.buffer[0][2].char, 'x', 'Following character should be after the emoji');
+  assertEqual(term.getCursorPosition().x, 3, 'Cursor should advance by 3 cells');
+});
+
+test('Combining marks attach to the previous cell', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('e\u0301a');
+
+  assertEqual(term.buffer[0][0].char, 'e\u0301', 'Combining acute should join the base letter');
+  assertEqual(term.buffer[0][1].char, 'a', 'Next letter should be in the next cell');
+  assertEqual(term.getCursorPosition().x, 2, 'Combining marks should not advance the cursor');
+});
+
+test('ZWJ sequences, modifiers and flags form one cell', () => {
+  const term = new VirtualTerminal(20, 2);
+  term.write('\u{1F469}\u200D\u{1F4BB}|\u{1F44D}\u{1F3FD}|\u{1F1E9}\u{1F1EA}|');
+
+  assertEqual(term.buffer[0][0].char, '\u{1F469}\u200D\u{1F4BB}', 'ZWJ sequence should be one grapheme');
+  assertEqual(term.buffer[0][2].char, '|', 'ZWJ sequence should take two cells');
+  assertEqual(term.buffer[0][3].char, '\u{1F44D}\u{1F3FD}', 'Skin tone modifier should join the emoji');
+  assertEqual(term.buffer[0][6].char, '\u{1F1E9}\u{1F1EA}', 'Regional indicators should form a flag');
+  assertEqual(term.buffer[0][8].char, '|', 'Flag should take two cells');
+});
+
+test('Wide character wraps instead of splitting at the right edge', () => {
+  const term = new VirtualTerminal(5, 3);
+  term.write('abcd中');
+
+  const lines = term.toString().split('\n');
+  assertEqual(lines[0], 'abcd ', 'Last column should be left blank');
+  assertEqual(term.buffer[1][0].char, '中', 'Wide character should move to the next line');
+});
+
+test('Overwriting half of a wide character clears the other half', () => {
+  const term = new VirtualTerminal(10, 2);
+  term.write('中文');
+  term.write('\x1B[1;2Hx');
+
+  assertEqual(firstLine(term).startsWith(' x文'), true, `Broken wide character should become a blank (got ${JSON.stringify(firstLine(term))})`);
+});
+
+test('Inserting characters at a wide character (ESC[@)', () => {
+  const term = new VirtualTerminal(9, 2);
+  term.write('ab字\x1B[1;2H\x1B[3@');
+  assertEqual(firstLine(term), 'a   b字  ', 'Wide character after the cursor should move right whole');
+  assertEqual(term.buffer[0][5].width, 2, 'Moved wide character should keep its width');
+  assertEqual(term.buffer[0][6].width, 0, 'Moved wide character should keep its continuation cell');
+
+  term.write('\x1B[1;6H\x1B[@');
+  assertEqual(firstLine(term), 'a   b 字 ', 'Wide character at the cursor should move right whole');
+  assertEqual(term.buffer[0][6].char + term.buffer[0][7].width, '字0', 'Continuation should follow it');
+
+  term.write('\x1B[1;8H\x1B[@');
+  assertEqual(firstLine(term), 'a   b    ', 'Wide character split at the cursor should become blanks');
+  assertEqual(term.buffer[0].every(cell => cell.width !== 0 || cell.char === ''), true, 'No orphaned cells');
+
+  const wide = new VirtualTerminal(9, 2);
+  wide.write('ab字cd\x1B[1;2H\x1B[2@');
+  const restored = VirtualTerminal.deserialize(wide.serialize());
+  assertEqual(JSON.stringify(restored.serialize()), JSON.stringify(wide.serialize()), 'Snapshot round trip should match');
+  const replayed = new VirtualTerminal(9, 2);
+  replayed.write(wide.toAnsi());
+  assertEqual(firstLine(replayed), firstLine(wide), 'ANSI replay should match');
+});
+
+test('Erasing part of a wide character (ESC[K, ESC[J)', () => {
+  const intact = (row) => row.every((cell, x) =>
+    (cell.width === 2) === (row[x + 1]?.width === 0) && (cell.width !== 0 || row[x - 1]?.width === 2));
+
+  const term = new VirtualTerminal(6, 3);
+  term.write('a中b[1;3H[K');
+  assertEqual(firstLine(term), 'a     ', 'Erasing from the second half should blank the first');
+  assertEqual(intact(term.buffer[0]), true, 'No half of the wide character should remain');
+
+  term.write('[2;1Ha中b[2;2H[1K');
+  assertEqual(term.toString().split('\n')[1], '   b  ', 'Erasing to the first half should blank the second');
+  assertEqual(intact(term.buffer[1]), true, 'No orphaned continuation cell');
+
+  term.write('[3;1Ha中b[3;3H[J');
+  assertEqual(term.toString().split('\n')[2], 'a     ', 'Erasing the display should split wide characters the same way');
+  assertEqual(intact(term.buffer[2]), true, 'No half of the wide character should remain after ED');
+});
+
+// Summary
+console.log(`\n📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All Unicode tests passed!');
+} else {
+  console.log('\n💥 Some tests failed!');
+  process.exit(1);
+}
@@ -1,9 +1,12 @@
-import { Bot, InlineKeyboard } from "grammy";
+import { Bot, InlineKeyboard, InputFile } from "grammy";
 import * as pty from "node-pty";
 import { config } from "dotenv";
 import pino from "pino";
 import { createWriteStream } from "fs";
+import { basename, join } from "path";
+import { fileURLToPath } from "url";
 import VirtualTerminal from "./virtual-terminal.js";
+import { formatCommandNotification, shouldNotify } from "./command-notification.js";
 
 config();
 
@@ -49,6 +52,12 @@ const bot = new Bot(process.env.BOT_TOKEN);
 const AUTHORIZED_USER_ID = process.env.AUTHORIZED_USER_ID ? parseInt(process.env.AUTHORIZED_USER_ID) : null;
 const AUTHORIZED_USERNAME = process.env.AUTHORIZED_USERNAME;
 const SHELL = process.env.SHELL || "/bin/bash";
+const SHELL_INTEGRATION = process.env.SHELL_INTEGRATION === 'true';
+const SHELL_INTEGRATION_DIR = fileURLToPath(new URL('./shell-integration/', import.meta.url));
+// Commands running at least this many seconds send a notification when they finish
+// (needs shell integration), with the last lines of their output
+const COMMAND_NOTIFY_THRESHOLD = parseInt(process.env.COMMAND_NOTIFY_THRESHOLD || '10');
+const COMMAND_NOTIFY_LINES = parseInt(process.env.COMMAND_NOTIFY_LINES || '10');
 
 // Aspect ratio presets optimized for 2000 char Telegram limit
 const ASPECT_RATIOS = {
@@ -61,9 +70,32 @@ logger.info({
   authorizedUserId: AUTHORIZED_USER_ID,
   authorizedUsername: AUTHORIZED_USERNAME,
   aspectRatios: ASPECT_RATIOS,
-  shell: SHELL
+  shell: SHELL,
+  shellIntegration: SHELL_INTEGRATION,
+  commandNotifyThreshold: COMMAND_NOTIFY_THRESHOLD,
+  commandNotifyLines: COMMAND_NOTIFY_LINES
 }, 'Bot configuration loaded');
 
+if (SHELL_INTEGRATION && !['bash', 'zsh'].includes(basename(SHELL))) {
+  logger.warn({ shell: SHELL }, 'Shell integration is only available for bash and zsh');
+}
+
+// Most link buttons shown under the terminal message
+const MAX_LINK_BUTTONS = 8;
+
+// Longest link URL put on a button; Telegram rejects the whole keyboard over a bad one
+const MAX_LINK_URL_LENGTH = 1024;
+
+// Output stopping inside an escape sequence holds back screen changes; after this many
+// milliseconds without output they are reported anyway
+const STALLED_SEQUENCE_TIMEOUT = 1000;
+
+// Telegram message length limit; longer clipboard text is sent as a document
+const MAX_MESSAGE_LENGTH = 4096;
+
+// Shortest time in milliseconds between bell/notification messages; more are dropped
+const ATTENTION_INTERVAL = 10000;
+
 // Store terminal sessions per user (though we only allow one user)
 const userSessions = new Map();
 
@@ -114,6 +146,137 @@ function formatTerminalOutput(virtualTerminal) {
   return virtualTerminal.getScreenText();
 }
 
+// Helper function to put text in an inline code span (backticks can't be escaped there)
+function inlineCode(text) {
+  return '`' + text.replace(/`/g, "'") + '`';
+}
+
+// Helper function to cut text to at most maxLength characters, ending with '…' when cut
+function truncate(text, maxLength) {
+  return text.length > maxLength ? text.substring(0, maxLength - 1) + '…' : text;
+}
+
+// Helper function to build the terminal message: the header shows the title and working
+// directory reported by the shell or running program (OSC 0/2 and OSC 7), when there are any
+function formatTerminalMessage(virtualTerminal, name) {
+  const { title, cwd, cols, rows } = virtualTerminal;
+  const header = title
+    ? `🖥️ ${inlineCode(truncate(title, 60))}`
+    : `🚀 **Terminal ${name} (${cols}x${rows})** - Ready!`;
+  const cwdLine = cwd ? `\n📂 ${inlineCode(truncate(cwd, 60))}` : '';
+
+  return `${header}${cwdLine}${formatCommandStatus(virtualTerminal)}
+
+📱 **Aspect ratios:** \`/start 1:1\` \`/start 16:9\` \`/start 9:16\`
+💬 Send commands as text messages
+
+\`\`\`
+${formatTerminalOutput(virtualTerminal)}
+\`\`\``;
+}
+
+// Helper function to show the state of the last command when the shell reports its
+// commands (OSC 133 shell integration): running, succeeded or failed with its exit code
+function formatCommandStatus(virtualTerminal) {
+  if (!virtualTerminal.shellIntegration) {
+    return '';
+  }
+  const commands = virtualTerminal.getCommands();
+  const last = commands[commands.length - 1];
+  if (!last || !last.command) {
+    return '';
+  }
+
+  const command = inlineCode(truncate(last.command.split('\n')[0], 60));
+  if (last.running) {
+    return `\n⏳ ${command}`;
+  }
+  if (last.exitCode === null) {
+    return `\n⏹️ ${command}`;
+  }
+  return last.exitCode === 0 ? `\n✅ ${command}` : `\n❌ ${command} exited with ${last.exitCode}`;
+}
+
+// Helper function to report a finished long-running command in a new message, so Telegram
+// notifies (edits of the terminal message are silent)
+async function sendCommandNotification(ctx, finished) {
+  const { text, entities } = formatCommandNotification(finished, {
+    lines: COMMAND_NOTIFY_LINES,
+    maxLength: MAX_MESSAGE_LENGTH
+  });
+  await ctx.reply(text, { entities });
+}
+
+// Helper function to get the shell arguments and environment. With SHELL_INTEGRATION=true
+// bash and zsh load the hooks in src/shell-integration, which mark prompts, commands and
+// exit codes with OSC 133; the hooks load the user's own startup files first.
+function shellLaunchOptions() {
+  if (SHELL_INTEGRATION && basename(SHELL) === 'bash') {
+    return { args: ['--rcfile', join(SHELL_INTEGRATION_DIR, 'bashrc')], env: process.env };
+  }
+  if (SHELL_INTEGRATION && basename(SHELL) === 'zsh') {
+    return {
+      args: [],
+      env: {
+        ...process.env,
+        ZDOTDIR: join(SHELL_INTEGRATION_DIR, 'zsh'),
+        TELEGRAM_TERMINAL_ZDOTDIR: process.env.ZDOTDIR || process.env.HOME
+      }
+    };
+  }
+  return { args: [], env: process.env };
+}
+
+// Helper function to normalize a link URL for a button, or return null when Telegram
+// couldn't take it (malformed, not http(s), too long)
+function buttonUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return null;
+  }
+  return parsed.href.length > MAX_LINK_URL_LENGTH ? null : parsed.href;
+}
+
+// Helper function to turn the web links on the screen (OSC 8 hyperlinks, e.g. from
+// `ls --hyperlink` or `gh`) into URL buttons. Other schemes such as file:// can't be
+// opened from Telegram and are left out.
+function buildLinkKeyboard(virtualTerminal) {
+  const keyboard = new InlineKeyboard();
+  const urls = new Set();
+  for (const link of virtualTerminal.getLinks()) {
+    const url = buttonUrl(link.url);
+    if (!url || urls.has(url) || urls.size >= MAX_LINK_BUTTONS) {
+      continue;
+    }
+    if (urls.size > 0) {
+      keyboard.row();
+    }
+    urls.add(url);
+    keyboard.url(truncate(link.text || url, 40), url);
+  }
+  return keyboard;
+}
+
+// Helper function to deliver terminal text (clipboard, command output): a message with the
+// text as a code block (one tap copies it), or a document when it doesn't fit
+async function sendText(ctx, title, text, filename) {
+  const header = `${title}:\n`;
+  if (header.length + text.length <= MAX_MESSAGE_LENGTH) {
+    await ctx.reply(header + text, {
+      entities: [{ type: 'pre', offset: header.length, length: text.length }]
+    });
+  } else {
+    await ctx.replyWithDocument(new InputFile(Buffer.from(text, 'utf8'), filename), {
+      caption: title
+    });
+  }
+}
+
 // Helper function to parse command input (handle plain text, single quotes, triple quotes)
 function parseCommandInput(text) {
   logger.debug({ originalText: text }, 'Parsing command input');
@@ -163,63 +326,148 @@ bot.command("start", async (ctx) => {
     
     // Create new terminal session
     logger.debug({ shell: SHELL, cols, rows, aspectRatio: name }, 'Creating new terminal session');
-    const terminal = pty.spawn(SHELL, [], {
+    const { args, env } = shellLaunchOptions();
+    const terminal = pty.spawn(SHELL, args, {
       name: 'xterm-color',
       cols: cols,
       rows: rows,
       cwd: process.env.HOME,
-      env: process.env
+      env,
+      encoding: null // Raw bytes - the virtual terminal decodes UTF-8 across chunk boundaries
     });
     
     // Create virtual terminal for proper ANSI handling
     const virtualTerminal = new VirtualTerminal(cols, rows);
     let messageId = null;
-    let updateTimeout = null;
     let lastMessageContent = '';
     
-    // Subscribe to terminal changes for optimized updates
-    const unsubscribeFromChanges = virtualTerminal.onScreenChange((changeData) => {
+    // Subscribe to terminal frames - the terminal coalesces screen changes and
+    // throttles them, so each frame is one message update
+    const unsubscribeFromFrames = virtualTerminal.onFrame((frame) => {
       logger.debug({
         userId,
-        frameNumber: changeData.frameNumber,
-        timestamp: changeData.timestamp,
-        cursorPosition: changeData.cursorPosition
-      }, 'Terminal screen changed');
+        frameNumber: frame.frameNumber,
+        timestamp: frame.timestamp,
+        changedRows: frame.changedRows.length,
+        cursorPosition: frame.cursorPosition
+      }, 'Terminal frame ready');
       
-      // Debounce updates to prevent rapid firing
-      if (updateTimeout) {
-        clearTimeout(updateTimeout);
+      updateTerminalMessage();
+    });
+    
+    // Send replies to terminal queries (cursor position, device attributes) back to the shell
+    const unsubscribeFromOutput = virtualTerminal.onOutput((response) => {
+      logger.debug({ userId, response }, 'Terminal query response');
+      terminal.write(response);
+    });
+    
+    // Forward text copied by terminal programs (vim, tmux) via OSC 52 and keep it for /paste
+    const unsubscribeFromClipboard = virtualTerminal.on('clipboard', ({ selection, text }) => {
+      logger.info({ userId, selection, length: text.length }, 'Terminal program set the clipboard');
+      if (!text) {
+        return;
       }
+      if (userSessions.has(userId)) {
+        userSessions.get(userId).clipboard = text;
+      }
+      sendText(ctx, '📋 Copied in terminal', text, 'clipboard.txt').catch((error) => {
+        logger.warn({ userId, error: error.message }, 'Failed to send clipboard text');
+      });
+    });
+    
+    // Refresh the header when the title or working directory changes. The events fire
+    // while output is parsed, so the update waits for the next frame.
+    const unsubscribeFromTitle = virtualTerminal.on('title', (title) => {
+      logger.debug({ userId, title }, 'Terminal title changed');
+      virtualTerminal.requestFrame();
+    });
+    const unsubscribeFromCwd = virtualTerminal.on('cwd', (cwd) => {
+      logger.debug({ userId, cwd }, 'Terminal working directory changed');
+      virtualTerminal.requestFrame();
+    });
+    
+    // Bells and desktop notifications (OSC 9/777) become new messages, which notify unlike
+    // the silent edits of the terminal message - e.g. a prompt waiting for input
+    let lastAttentionAt = 0;
+    function sendAttention(text) {
+      const now = Date.now();
+      if (now - lastAttentionAt < ATTENTION_INTERVAL) {
+        logger.debug({ userId, text }, 'Attention message dropped by rate limit');
+        return;
+      }
+      lastAttentionAt = now;
+      ctx.reply(text).catch((error) => {
+        logger.warn({ userId, error: error.message }, 'Failed to send attention message');
+      });
+    }
+    const unsubscribeFromBell = virtualTerminal.on('bell', () => {
+      logger.debug({ userId }, 'Terminal bell');
+      // The cursor line usually holds the question being asked
+      const line = virtualTerminal.getRowText(virtualTerminal.buffer[virtualTerminal.cursor.y]).trim();
+      sendAttention(line ? `🔔 ${line}` : '🔔 Terminal bell');
+    });
+    const unsubscribeFromNotification = virtualTerminal.on('notification', ({ title, body }) => {
+      logger.info({ userId, title, body }, 'Terminal notification');
+      sendAttention(`🔔 ${[title, body].filter(Boolean).join('\n') || 'Terminal notification'}`);
+    });
+    
+    // With shell integration the shell reports when commands start and finish (OSC 133):
+    // output of a running command updates the message less often than typing at the prompt
+    const unsubscribeFromCommandStart = virtualTerminal.on('commandStart', ({ command }) => {
+      logger.debug({ userId, command }, 'Command started');
+      if (userSessions.has(userId)) {
+        userSessions.get(userId).isInteractive = true;
+      }
+      virtualTerminal.setFrameTiming({ minInterval: 300 });
+    });
+    const unsubscribeFromCommandFinish = virtualTerminal.on('commandFinish', (finished) => {
+      const { command, exitCode, duration } = finished;
+      logger.info({ userId, command, exitCode, duration }, 'Command finished');
+      if (userSessions.has(userId)) {
+        userSessions.get(userId).isInteractive = false;
+      }
+      virtualTerminal.setFrameTiming({ minInterval: 150 });
       
-      const session = userSessions.get(userId);
-      const debounceTime = session?.isInteractive ? 300 : 150;
-      
-      updateTimeout = setTimeout(() => {
-        updateTerminalMessage();
-      }, debounceTime);
+      // Long-running commands (make, rsync) report back in a notifying message
+      if (shouldNotify(duration, COMMAND_NOTIFY_THRESHOLD)) {
+        sendCommandNotification(ctx, finished).catch((error) => {
+          logger.warn({ userId, error: error.message }, 'Failed to send command notification');
+        });
+      }
     });
     
-    // Handle terminal output
+    // Handle terminal output; changes held back by an unfinished escape sequence are
+    // reported once output goes quiet
+    let flushTimer = null;
     terminal.onData((data) => {
       logger.debug({ 
         userId, 
         dataLength: data.length,
-        dataPreview: data.substring(0, 50) + (data.length > 50 ? '...' : '')
+        dataPreview: data.toString('utf8', 0, 50) + (data.length > 50 ? '...' : '')
       }, 'Terminal data received');
       
       // Feed data to virtual terminal for proper ANSI processing
       // The change subscription will handle updates automatically
-      virtualTerminal.write(data);
+      virtualTerminal.writeBytes(data);
+      
+      clearTimeout(flushTimer);
+      flushTimer = setTimeout(() => virtualTerminal.flush(), STALLED_SEQUENCE_TIMEOUT);
     });
     
     // Handle terminal exit
     terminal.onExit((exitCode, signal) => {
       logger.info({ userId, exitCode, signal }, 'Terminal session ended');
-      if (updateTimeout) {
-        clearTimeout(updateTimeout);
-      }
-      // Unsubscribe from changes
-      unsubscribeFromChanges();
+      // Unsubscribe from frames
+      unsubscribeFromFrames();
+      unsubscribeFromOutput();
+      unsubscribeFromClipboard();
+      unsubscribeFromTitle();
+      unsubscribeFromCwd();
+      clearTimeout(flushTimer);
+      unsubscribeFromCommandStart();
+      unsubscribeFromCommandFinish();
+      unsubscribeFromBell();
+      unsubscribeFromNotification();
       userSessions.delete(userId);
       ctx.reply("🔴 Terminal session ended.");
     });
@@ -228,17 +476,12 @@ bot.command("start", async (ctx) => {
     async function updateTerminalMessage() {
       try {
         const formattedOutput = formatTerminalOutput(virtualTerminal);
-        const messageText = `🚀 **Terminal ${name} (${cols}x${rows})** - Ready!
-
-📱 **Aspect ratios:** \`/start 1:1\` \`/start 16:9\` \`/start 9:16\`
-💬 Send commands as text messages
-
-\`\`\`
-${formattedOutput}
-\`\`\``;
+        const messageText = formatTerminalMessage(virtualTerminal, name);
+        const linkKeyboard = buildLinkKeyboard(virtualTerminal);
+        const messageContent = messageText + JSON.stringify(linkKeyboard.inline_keyboard);
         
         // Skip update if content hasn't changed (extra safety check)
-        if (messageText === lastMessageContent) {
+        if (messageContent === lastMessageContent) {
           logger.debug({ userId }, 'Skipping update - content unchanged (should not happen with subscription)');
           return;
         }
@@ -258,21 +501,23 @@ ${formattedOutput}
         
         if (messageId) {
           await ctx.api.editMessageText(ctx.chat.id, messageId, messageText, {
-            parse_mode: "Markdown"
+            parse_mode: "Markdown",
+            reply_markup: linkKeyboard
           });
           logger.debug({ userId, messageId }, 'Terminal message updated successfully');
-          lastMessageContent = messageText;
+          lastMessageContent = messageContent;
           // Update session with current messageId
           if (userSessions.has(userId)) {
             userSessions.get(userId).messageId = messageId;
           }
         } else {
           const message = await ctx.reply(messageText, {
-            parse_mode: "Markdown"
+            parse_mode: "Markdown",
+            reply_markup: linkKeyboard
           });
           messageId = message.message_id;
           logger.debug({ userId, messageId }, 'New terminal message sent');
-          lastMessageContent = messageText;
+          lastMessageContent = messageContent;
           // Update session with new messageId
           if (userSessions.has(userId)) {
             userSessions.get(userId).messageId = messageId;
@@ -290,20 +535,14 @@ ${formattedOutput}
         // Only create new message for other 400 errors (like message too old)
         if (error.error_code === 400 && !error.message.includes('message is not modified')) {
           try {
-            const formattedOutput = formatTerminalOutput(virtualTerminal);
-            const messageText = `🚀 **Terminal ${name} (${cols}x${rows})** - Ready!
-
-📱 **Aspect ratios:** \`/start 1:1\` \`/start 16:9\` \`/start 9:16\`
-💬 Send commands as text messages
-
-\`\`\`
-${formattedOutput}
-\`\`\``;
+            const messageText = formatTerminalMessage(virtualTerminal, name);
+            const linkKeyboard = buildLinkKeyboard(virtualTerminal);
             const message = await ctx.reply(messageText, {
-              parse_mode: "Markdown"
+              parse_mode: "Markdown",
+              reply_markup: linkKeyboard
             });
             messageId = message.message_id;
-            lastMessageContent = messageText;
+            lastMessageContent = messageText + JSON.stringify(linkKeyboard.inline_keyboard);
             // Update session with new messageId
             if (userSessions.has(userId)) {
               userSessions.get(userId).messageId = messageId;
@@ -322,29 +561,23 @@ ${formattedOutput}
       virtualTerminal,
       messageId,
       updateTerminalMessage,
-      unsubscribeFromChanges,
+      unsubscribeFromFrames,
+      unsubscribeFromOutput,
       cols,
       rows,
       lastCommand: null,
-      isInteractive: false
+      isInteractive: false,
+      clipboard: null
     });
     
     logger.info({ userId, aspectRatio: name, dimensions: `${cols}x${rows}` }, 'Terminal session created and stored');
     
     // Send initial terminal message with empty state
-    const initialOutput = formatTerminalOutput(virtualTerminal);
-    const initialMessage = `🚀 **Terminal ${name} (${cols}x${rows})** - Ready!
-
-📱 **Aspect ratios:** \`/start 1:1\` \`/start 16:9\` \`/start 9:16\`
-💬 Send commands as text messages
-
-\`\`\`
-${initialOutput}
-\`\`\``;
+    const initialMessage = formatTerminalMessage(virtualTerminal, name);
     
     const message = await ctx.reply(initialMessage, { parse_mode: "Markdown" });
     messageId = message.message_id;
-    lastMessageContent = initialMessage;
+    lastMessageContent = initialMessage + JSON.stringify(new InlineKeyboard().inline_keyboard);
     
     // Update session with message ID
     if (userSessions.has(userId)) {
@@ -363,6 +596,65 @@ ${initialOutput}
   }
 });
 
+// Paste command handler - registered before the text handler, which would otherwise
+// take the message as a terminal command
+bot.command("paste", async (ctx) => {
+  const userId = ctx.from.id;
+  const session = userSessions.get(userId);
+  
+  logger.info({ userId }, 'Paste command received');
+  
+  if (!session) {
+    logger.warn({ userId }, 'Paste command called but no active session');
+    return ctx.reply("❌ No active terminal session. Use /start to begin.");
+  }
+  
+  // "/paste <text>" pastes the given text, "/paste" the last text copied in the terminal
+  const text = ctx.match || session.clipboard;
+  if (!text) {
+    await ctx.reply("📋 Nothing to paste. Copy text in the terminal or send `/paste <text>`.", { parse_mode: 'Markdown' });
+    return;
+  }
+  session.clipboard = text;
+  
+  // Bracketed paste when the program asked for it, so editors and shells don't run it line by line
+  session.terminal.write(session.virtualTerminal.encodePaste(text));
+  logger.debug({ userId, length: text.length, bracketed: session.virtualTerminal.isModeSet(2004) }, 'Pasted text into terminal');
+});
+
+// Output command handler - sends the whole output of the last command, as marked by the
+// shell integration, including what scrolled off the screen
+bot.command("output", async (ctx) => {
+  const userId = ctx.from.id;
+  const session = userSessions.get(userId);
+  
+  logger.info({ userId }, 'Output command received');
+  
+  if (!session) {
+    logger.warn({ userId }, 'Output command called but no active session');
+    return ctx.reply("❌ No active terminal session. Use /start to begin.");
+  }
+  
+  if (!session.virtualTerminal.shellIntegration) {
+    await ctx.reply("ℹ️ Command output needs shell integration. Set `SHELL_INTEGRATION=true` and use /restart.", { parse_mode: 'Markdown' });
+    return;
+  }
+  
+  const commands = session.virtualTerminal.getCommands();
+  const last = commands[commands.length - 1];
+  if (!last) {
+    await ctx.reply("📄 No command has run yet.");
+    return;
+  }
+  if (!last.output) {
+    await ctx.reply(`📄 ${inlineCode(last.command)} printed nothing.`, { parse_mode: 'Markdown' });
+    return;
+  }
+  
+  await sendText(ctx, `📄 Output of ${last.command}`, last.output, 'output.txt');
+  logger.debug({ userId, command: last.command, length: last.output.length }, 'Sent command output');
+});
+
 // Handle all text messages as terminal commands
 bot.on("message:text", async (ctx) => {
   const userId = ctx.from.id;
@@ -406,26 +698,32 @@ bot.on("message:text", async (ctx) => {
   session.lastCommand = command;
 
   try {
-    // Enhanced interactive command detection
-    const interactiveCommands = ['top', 'htop', 'vim', 'nano', 'emacs', 'less', 'more', 'man', 'watch'];
-    const streamingCommands = ['tail -f', 'ping'];
-    const longRunningCommands = ['wget', 'curl', 'rsync'];
-    
-    const isInteractive = interactiveCommands.some(cmd => command.toLowerCase().startsWith(cmd));
-    const isStreaming = streamingCommands.some(cmd => command.toLowerCase().includes(cmd));
-    const isLongRunning = longRunningCommands.some(cmd => command.toLowerCase().startsWith(cmd));
-    
-    session.isInteractive = isInteractive || isStreaming;
-    
-    if (isInteractive) {
-      logger.info({ userId, command }, 'Interactive command detected');
-      await ctx.reply(`⚡ Running interactive command \`${command}\`. The display will update automatically. Send \`^C\` to stop.`, { parse_mode: 'Markdown' });
-    } else if (isStreaming) {
-      logger.info({ userId, command }, 'Streaming command detected');
-      await ctx.reply(`🔄 Running streaming command \`${command}\`. Send \`^C\` to stop.`, { parse_mode: 'Markdown' });
-    } else if (isLongRunning) {
-      logger.info({ userId, command }, 'Long-running command detected');
-      await ctx.reply(`⏳ Running \`${command}\`... This may take a while.`, { parse_mode: 'Markdown' });
+    // With shell integration the shell marks when a command runs (see the commandStart
+    // and commandFinish listeners); otherwise guess from the command name
+    if (!session.virtualTerminal.shellIntegration) {
+      // Enhanced interactive command detection
+      const interactiveCommands = ['top', 'htop', 'vim', 'nano', 'emacs', 'less', 'more', 'man', 'watch'];
+      const streamingCommands = ['tail -f', 'ping'];
+      const longRunningCommands = ['wget', 'curl', 'rsync'];
+      
+      const isInteractive = interactiveCommands.some(cmd => command.toLowerCase().startsWith(cmd));
+      const isStreaming = streamingCommands.some(cmd => command.toLowerCase().includes(cmd));
+      const isLongRunning = longRunningCommands.some(cmd => command.toLowerCase().startsWith(cmd));
+      
+      session.isInteractive = isInteractive || isStreaming;
+      // Full-screen and streaming programs redraw often - update the message less frequently
+      session.virtualTerminal.setFrameTiming({ minInterval: session.isInteractive ? 300 : 150 });
+      
+      if (isInteractive) {
+        logger.info({ userId, command }, 'Interactive command detected');
+        await ctx.reply(`⚡ Running interactive command \`${command}\`. The display will update automatically. Send \`^C\` to stop.`, { parse_mode: 'Markdown' });
+      } else if (isStreaming) {
+        logger.info({ userId, command }, 'Streaming command detected');
+        await ctx.reply(`🔄 Running streaming command \`${command}\`. Send \`^C\` to stop.`, { parse_mode: 'Markdown' });
+      } else if (isLongRunning) {
+        logger.info({ userId, command }, 'Long-running command detected');
+        await ctx.reply(`⏳ Running \`${command}\`... This may take a while.`, { parse_mode: 'Markdown' });
+      }
     }
 
     logger.info({ userId, command }, 'Executing terminal command');
@@ -499,6 +797,9 @@ bot.command("help", async (ctx) => {
 • \`/start 9:16\` - Start with portrait terminal (32x56)
 • \`/stop\` - Stop current terminal session
 • \`/restart\` - Restart terminal session
+• \`/paste\` - Paste the text last copied in the terminal (OSC 52)
+• \`/paste <text>\` - Paste text into the terminal
+• \`/output\` - Send the full output of the last command (needs shell integration)
 • \`/help\` - Show this help message
 
 **Control Sequences:**
@@ -515,7 +816,9 @@ bot.command("help", async (ctx) => {
 **Tips:**
 • The terminal displays are optimized for mobile screens
 • Traffic optimization reduces unnecessary updates
-• Long-running commands show progress indicators`;
+• Long-running commands show progress indicators
+• Bells and program notifications (OSC 9/777) arrive as separate messages
+${COMMAND_NOTIFY_THRESHOLD > 0 ? `• With shell integration, commands running ${COMMAND_NOTIFY_THRESHOLD}s or longer notify you when they finish` : ''}`;
 
   await ctx.reply(helpMessage, { parse_mode: 'Markdown' });
   logger.info({ userId: ctx.from.id }, 'Help command sent');
@@ -0,0 +1,130 @@
+/**
+ * Unicode Character Width
+ * Display width of code points in terminal cells (0, 1 or 2), following East Asian Width
+ */
+
+// East Asian Wide (W) and Fullwidth (F) ranges
+const WIDE_RANGES = [
+  [0x1100, 0x115F], // Hangul Jamo initial consonants
+  [0x231A, 0x231B], // Watch, hourglass
+  [0x2329, 0x232A], // Angle brackets
+  [0x23E9, 0x23EC],
+  [0x23F0, 0x23F0],
+  [0x23F3, 0x23F3],
+  [0x25FD, 0x25FE],
+  [0x2614, 0x2615],
+  [0x2648, 0x2653],
+  [0x267F, 0x267F],
+  [0x2693, 0x2693],
+  [0x26A1, 0x26A1],
+  [0x26AA, 0x26AB],
+  [0x26BD, 0x26BE],
+  [0x26C4, 0x26C5],
+  [0x26CE, 0x26CE],
+  [0x26D4, 0x26D4],
+  [0x26EA, 0x26EA],
+  [0x26F2, 0x26F3],
+  [0x26F5, 0x26F5],
+  [0x26FA, 0x26FA],
+  [0x26FD, 0x26FD],
+  [0x2705, 0x2705],
+  [0x270A, 0x270B],
+  [0x2728, 0x2728],
+  [0x274C, 0x274C],
+  [0x274E, 0x274E],
+  [0x2753, 0x2755],
+  [0x2757, 0x2757],
+  [0x2795, 0x2797],
+  [0x27B0, 0x27B0],
+  [0x27BF, 0x27BF],
+  [0x2B1B, 0x2B1C],
+  [0x2B50, 0x2B50],
+  [0x2B55, 0x2B55],
+  [0x2E80, 0x303E], // CJK radicals, Kangxi, ideographic description, CJK symbols and punctuation
+  [0x3041, 0x33FF], // Hiragana, Katakana, Bopomofo, Hangul compatibility Jamo, CJK compatibility
+  [0x3400, 0x4DBF], // CJK unified ideographs extension A
+  [0x4E00, 0x9FFF], // CJK unified ideographs
+  [0xA000, 0xA4CF], // Yi syllables and radicals
+  [0xA960, 0xA97F], // Hangul Jamo extended A
+  [0xAC00, 0xD7A3], // Hangul syllables
+  [0xF900, 0xFAFF], // CJK compatibility ideographs
+  [0xFE10, 0xFE19], // Vertical forms
+  [0xFE30, 0xFE6F], // CJK compatibility forms, small form variants
+  [0xFF00, 0xFF60], // Fullwidth forms
+  [0xFFE0, 0xFFE6], // Fullwidth signs
+  [0x16FE0, 0x16FE4],
+  [0x17000, 0x18CFF], // Tangut, Khitan
+  [0x1B000, 0x1B2FF], // Kana supplement, Nushu
+  [0x1F004, 0x1F004],
+  [0x1F0CF, 0x1F0CF],
+  [0x1F18E, 0x1F18E],
+  [0x1F191, 0x1F19A],
+  [0x1F200, 0x1F2FF], // Enclosed ideographic supplement
+  [0x1F300, 0x1F64F], // Miscellaneous symbols and pictographs, emoticons
+  [0x1F680, 0x1F6FF], // Transport and map symbols
+  [0x1F7E0, 0x1F7EB],
+  [0x1F900, 0x1F9FF], // Supplemental symbols and pictographs
+  [0x1FA70, 0x1FAFF], // Symbols and pictographs extended A
+  [0x20000, 0x2FFFD], // CJK unified ideographs extensions B-F
+  [0x30000, 0x3FFFD] // CJK unified ideographs extension G
+];
+
+const ZERO_WIDTH_PATTERN = /^[\p{Mn}\p{Me}\p{Cf}]$/u;
+const EMOJI_PRESENTATION_PATTERN = /^\p{Emoji_Presentation}$/u;
+const EMOJI_MODIFIER_PATTERN = /^\p{Emoji_Modifier}$/u;
+
+export const ZERO_WIDTH_JOINER = '\u200D';
+
+function inRanges(codePoint, ranges) {
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (codePoint < ranges[mid][0]) {
+      high = mid - 1;
+    } else if (codePoint > ranges[mid][1]) {
+      low = mid + 1;
+    } else {
+      return true;
+    }
+  }
+  return false;
+}
+
+export function isRegionalIndicator(codePoint) {
+  return codePoint >= 0x1F1E6 && codePoint <= 0x1F1FF;
+}
+
+// Emoji skin tone modifiers attach to the preceding emoji
+export function isEmojiModifier(char) {
+  return EMOJI_MODIFIER_PATTERN.test(char);
+}
+
+// Number of cells a code point occupies: 0 for combining marks and format characters,
+// 2 for wide/fullwidth characters and emoji, 1 otherwise
+export function charWidth(char) {
+  const codePoint = char.codePointAt(0);
+
+  if (codePoint < 0x300) {
+    return 1;
+  }
+
+  if (ZERO_WIDTH_PATTERN.test(char) || (codePoint >= 0x1160 && codePoint <= 0x11FF)) {
+    return 0;
+  }
+
+  if (inRanges(codePoint, WIDE_RANGES) || EMOJI_PRESENTATION_PATTERN.test(char)) {
+    return 2;
+  }
+
+  return 1;
+}
+
+// Display width of a whole string
+export function stringWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    width += charWidth(char);
+  }
+  return width;
+}
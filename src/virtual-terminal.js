@@ -3,50 +3,295 @@
  * Implements a proper terminal screen buffer with ANSI escape sequence support
  */
 
+import { DEFAULT_COLOR, colorToHex, paletteColor, rgbToHex } from './terminal-colors.js';
+import ScrollbackBuffer from './scrollback-buffer.js';
+import EscapeParser from './escape-parser.js';
+import FrameScheduler from './frame-scheduler.js';
+import { charWidth, isEmojiModifier, isRegionalIndicator, ZERO_WIDTH_JOINER } from './unicode-width.js';
+import { AttributeTable, SNAPSHOT_VERSION, decodeRows, parseSnapshot, snapshotToBinary } from './terminal-snapshot.js';
+import { encodeRows, linkTransition, sgrTransition } from './ansi-encoder.js';
+import { encodeHtmlRows } from './html-encoder.js';
+
+// Most input kept while waiting for the end of an escape sequence; past it, the change so
+// far is reported without waiting (a long DCS/OSC string can't be half-applied)
+const MAX_PENDING_INPUT = 64 * 1024;
+
+// Underline styles selected by SGR 4:n
+const UNDERLINE_STYLES = [false, 'single', 'double', 'curly', 'dotted', 'dashed'];
+
+// Private modes with dedicated state; toAnsi() restores them from that state, not from `modes`
+const STATE_MODES = new Set(['?6', '?7', '?25', '?47', '?69', '?1047', '?1048', '?1049', '?2026']);
+
+// Prefixes and intermediates each CSI final byte understands besides none (CSI ? Pm h,
+// CSI > c, CSI ? Ps $ p); any other combination is ignored, not run as the plain sequence
+const CSI_PREFIXES = {
+  h: ['?'],
+  l: ['?'],
+  c: ['>'],
+  n: ['?'],
+  p: ['$', '?$']
+};
+
+// Character sets selectable with ESC ( / ) / * / + followed by the set designator
+const CHARSETS = {
+  // DEC Special Graphics (line drawing)
+  '0': {
+    '_': ' ', '`': '◆', 'a': '▒', 'b': '␉', 'c': '␌', 'd': '␍', 'e': '␊', 'f': '°',
+    'g': '±', 'h': '␤', 'i': '␋', 'j': '┘', 'k': '┐', 'l': '┌', 'm': '└', 'n': '┼',
+    'o': '⎺', 'p': '⎻', 'q': '─', 'r': '⎼', 's': '⎽', 't': '├', 'u': '┤', 'v': '┴',
+    'w': '┬', 'x': '│', 'y': '≤', 'z': '≥', '{': 'π', '|': '≠', '}': '£', '~': '·'
+  },
+  // United Kingdom
+  'A': { '#': '£' },
+  // US ASCII
+  'B': null
+};
+
+function createDefaultCharsetState() {
+  return {
+    designations: ['B', 'B', 'B', 'B'], // G0-G3
+    active: 0 // Set invoked into GL by SI (G0) / SO (G1)
+  };
+}
+
+// OSC 7 reports the directory as a file URL (file://host/path, percent-encoded)
+function parseWorkingDirectory(url) {
+  if (url.startsWith('/')) {
+    return url;
+  }
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'file:' ? decodeURIComponent(parsed.pathname) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Shell integration marks (OSC 133): prompt start, command start, output start, command finished
+const SHELL_MARK_TYPES = ['A', 'B', 'C', 'D'];
+
+// Text of the lines between two { line, x } positions; rows continued by autowrap are
+// joined without a line break
+function textBetween(lines, from, to) {
+  let text = '';
+  for (let y = from.line; y <= to.line && y < lines.length; y++) {
+    const row = lines[y];
+    const end = y === to.line ? to.x : row.length - (row.wrapPadding ? 1 : 0);
+    const part = row.slice(y === from.line ? from.x : 0, end).map(cell => cell.char).join('');
+    text += row.wrapped && y < to.line ? part : part.trimEnd() + (y < to.line ? '\n' : '');
+  }
+  return text.trimEnd();
+}
+
+function createDefaultAttr() {
+  return {
+    fg: DEFAULT_COLOR,
+    bg: DEFAULT_COLOR,
+    bold: false,
+    dim: false,
+    italic: false,
+    underline: false, // false or one of UNDERLINE_STYLES
+    underlineColor: DEFAULT_COLOR,
+    blink: false, // false, 'slow' or 'rapid'
+    reverse: false,
+    hidden: false,
+    strikethrough: false,
+    overline: false
+  };
+}
+
 class VirtualTerminal {
-  constructor(cols = 56, rows = 32) {
+  constructor(cols = 56, rows = 32, options = {}) {
     this.cols = cols;
     this.rows = rows;
     
-    // Screen buffer - 2D array of characters
-    this.buffer = this.createEmptyBuffer();
+    // Character attributes (colors use the forms described in terminal-colors.js)
+    this.currentAttr = createDefaultAttr();
+    
+    // Main and alternate screens, each with its own buffer, cursor, saved cursor
+    // (DECSC), scroll region and scrollback. `buffer`, `cursor`, `savedCursor` and
+    // `scrollRegion` always refer to the active screen.
+    // The alternate screen keeps its own (disabled by default) history.
+    this.screens = {
+      main: this.createScreen(new ScrollbackBuffer({
+        maxLines: options.scrollback ?? 1000,
+        maxBytes: options.scrollbackMaxBytes ?? 16 * 1024 * 1024
+      })),
+      alt: this.createScreen(new ScrollbackBuffer({
+        maxLines: options.altScrollback ?? 0,
+        maxBytes: options.scrollbackMaxBytes ?? 16 * 1024 * 1024
+      }))
+    };
+    this.screen = this.screens.main;
     
     // Cursor state
-    this.cursor = { x: 0, y: 0 };
-    this.savedCursor = { x: 0, y: 0 };
     this.cursorVisible = true;
     
+    // Pending wrap: after printing in the last column the cursor stays there and
+    // the wrap happens only when the next printable character arrives (xterm behavior)
+    this.wrapPending = false;
+    this.autowrap = true; // DECAWM
+    
+    // Last printed grapheme, repeated by REP (CSI b)
+    this.lastPrintedChar = null;
+    
+    // Tab stop columns (HTS/TBC), every 8 columns by default
+    this.tabStops = this.createDefaultTabStops();
+    
+    // G0-G3 character set designations and the set currently invoked
+    this.charset = createDefaultCharsetState();
+    
     // Terminal state
-    this.scrollRegion = { top: 0, bottom: rows - 1 };
-    this.altScreenBuffer = null;
-    this.isAltScreen = false;
-    
-    // Character attributes (for future color support)
-    this.currentAttr = {
-      fg: 'white',
-      bg: 'black',
-      bold: false,
-      underline: false,
-      reverse: false
-    };
+    this.margins = { left: 0, right: cols - 1 }; // Left/right margins (DECSLRM)
+    this.leftRightMarginMode = false; // DECLRMM
+    this.originMode = false; // DECOM
     
-    // Parse state for escape sequences
-    this.parseState = {
-      state: 'normal', // 'normal', 'escape', 'csi', 'osc'
-      params: [],
-      current: '',
-      intermediate: ''
-    };
+    // Escape sequence parser, dispatching into the handlers below
+    this.parser = new EscapeParser({
+      print: (char) => this.printChar(this.translateCharset(char)),
+      execute: (code) => this.executeControl(code),
+      escDispatch: (finalChar, intermediates) => this.handleEscapeSequence(finalChar, intermediates),
+      csiDispatch: (finalChar, params, prefix, intermediates) =>
+        this.handleCSISequence(finalChar, params, prefix + intermediates),
+      oscDispatch: (data) => this.handleOSCSequence(data),
+      dcsDispatch: (finalChar, params, prefix, intermediates, data) =>
+        this.handleDCSSequence(prefix + intermediates + finalChar, params, data)
+    });
+    
+    // Incremental UTF-8 decoder for writeBytes - keeps a character split across chunks
+    this.decoder = new TextDecoder('utf-8');
+    
+    // Input that ended inside an escape sequence; its change is reported together with
+    // the next write
+    this.pendingInput = '';
+    
+    // OSC handlers keyed by command number, DCS handlers keyed by marker, intermediates
+    // and final character (e.g. '$q')
+    this.oscHandlers = new Map();
+    this.dcsHandlers = new Map();
+    
+    // Window title and icon name (OSC 0/1/2) and working directory reported by the
+    // shell (OSC 7); changes are emitted as 'title', 'iconName' and 'cwd' events
+    this.title = '';
+    this.iconName = '';
+    this.cwd = null;
+    this.eventListeners = new Map();
+    this.registerOscHandler(0, (text) => {
+      this.updateProperty('iconName', text);
+      this.updateProperty('title', text);
+    });
+    this.registerOscHandler(1, (text) => this.updateProperty('iconName', text));
+    this.registerOscHandler(2, (text) => this.updateProperty('title', text));
+    this.registerOscHandler(7, (url) => {
+      const path = parseWorkingDirectory(url);
+      if (path !== null) {
+        this.updateProperty('cwd', path);
+      }
+    });
+    
+    // Hyperlink (OSC 8) applied to printed characters as attr.link = { url, id }
+    this.hyperlink = null;
+    this.registerOscHandler(8, (payload) => this.setHyperlink(payload));
+    
+    // Clipboard writes (OSC 52) are emitted as 'clipboard' events
+    this.registerOscHandler(52, (payload) => this.handleClipboard(payload));
+    
+    // Desktop notifications (OSC 9, OSC 777 ; notify) are emitted as 'notification' events
+    this.registerOscHandler(9, (payload) => this.handleNotification(payload));
+    this.registerOscHandler(777, (payload) => this.handleNotification(payload, true));
+    
+    // Shell integration (OSC 133): shellIntegration turns true with the first mark,
+    // commandRunning is set between a command's output start and its finish
+    this.shellIntegration = false;
+    this.commandRunning = false;
+    this.commandStartedAt = null;
+    this.registerOscHandler(133, (payload) => this.handleShellMark(payload));
     
     // Debug and verbose modes
     this.debug = false;
     this.verbose = false;
     this.frameCounter = 0;
     
+    // Set/reset state of modes without dedicated fields, keyed like '?2004' or '4'
+    this.modes = new Map();
+    
+    // Replies to terminal queries (DA, DSR, CPR, DECRQM) to be written back to the PTY
+    this.outputListeners = new Set();
+    
+    // Change detection: rows touched since the last check, as row -> { left, right }
+    // column span, and the text of each row as last reported to listeners
+    this.dirtyRows = new Map();
+    this.allDirty = false;
+    this.rowTexts = this.buffer.map(row => this.getRowText(row));
+    
     // Change subscription system
     this.changeListeners = new Set();
     this.lastScreenHash = null;
     this.hasChangedSinceLastCheck = false;
+    
+    // Frame subscription system - changes coalesced by the frame scheduler
+    this.frameListeners = new Set();
+    this.frameScheduler = new FrameScheduler({
+      minInterval: options.frameInterval ?? 150,
+      maxLatency: options.frameMaxLatency ?? 1000,
+      syncTimeout: options.syncUpdateTimeout ?? 1000,
+      onFrame: (frame) => this.notifyFrameListeners(frame)
+    });
+  }
+  
+  createScreen(scrollback) {
+    return {
+      buffer: this.createEmptyBuffer(),
+      cursor: { x: 0, y: 0 },
+      savedCursor: { x: 0, y: 0 },
+      scrollRegion: { top: 0, bottom: this.rows - 1 },
+      scrollback
+    };
+  }
+  
+  get buffer() {
+    return this.screen.buffer;
+  }
+  
+  set buffer(buffer) {
+    this.screen.buffer = buffer;
+    this.markAllDirty();
+  }
+  
+  get cursor() {
+    return this.screen.cursor;
+  }
+  
+  set cursor(cursor) {
+    this.screen.cursor = cursor;
+  }
+  
+  get savedCursor() {
+    return this.screen.savedCursor;
+  }
+  
+  set savedCursor(savedCursor) {
+    this.screen.savedCursor = savedCursor;
+  }
+  
+  get scrollRegion() {
+    return this.screen.scrollRegion;
+  }
+  
+  set scrollRegion(scrollRegion) {
+    this.screen.scrollRegion = scrollRegion;
+  }
+  
+  get isAltScreen() {
+    return this.screen === this.screens.alt;
+  }
+  
+  createDefaultTabStops() {
+    const tabStops = new Set();
+    for (let x = 8; x < this.cols; x += 8) {
+      tabStops.add(x);
+    }
+    return tabStops;
   }
   
   createEmptyBuffer() {
@@ -71,17 +316,79 @@ class VirtualTerminal {
       console.log('Cursor before:', JSON.stringify(this.cursor));
     }
     
-    // Always capture screen state for change detection
-    const screenBefore = this.toString();
+    const inputData = this.pendingInput + data;
+    
+    this.parser.parse(data);
+    
+    // Input ended inside an escape sequence: wait for the rest so listeners never see
+    // a half-applied sequence. Dirty rows accumulate until then.
+    if (!this.parser.isInGround()) {
+      if (inputData.length > MAX_PENDING_INPUT) {
+        this.pendingInput = '';
+        this.detectChange(inputData.substring(0, MAX_PENDING_INPUT));
+        return;
+      }
+      this.pendingInput = inputData;
+      if (this.verbose) {
+        console.log('Incomplete escape sequence, change detection deferred.');
+      }
+      return;
+    }
+    
+    this.pendingInput = '';
+    this.detectChange(inputData);
+  }
+  
+  // Byte input (e.g. raw PTY chunks). Multibyte characters split between chunks are
+  // decoded once complete.
+  writeBytes(bytes) {
+    this.write(this.decoder.decode(bytes, { stream: true }));
+  }
+  
+  // Report a change held back by an unfinished escape sequence
+  flush() {
+    if (this.pendingInput) {
+      const inputData = this.pendingInput;
+      this.pendingInput = '';
+      this.detectChange(inputData);
+    }
+  }
+  
+  // Compare only the rows touched since the last check against their reported text.
+  // The change carries the indices of the rows whose text changed and the damage
+  // rectangle (inclusive cell bounds) covering them; the full screen texts are built
+  // only when read.
+  detectChange(inputData) {
+    const previousTexts = this.rowTexts;
+    const texts = previousTexts.slice(0, this.rows);
+    const resized = previousTexts.length !== this.rows;
+    const changedRows = [];
+    const damage = { top: this.rows, bottom: -1, left: this.cols, right: -1 };
     
-    for (let i = 0; i < data.length; i++) {
-      this.processChar(data[i]);
+    const dirty = this.allDirty
+      ? this.buffer.map((_, y) => [y, { left: 0, right: this.cols - 1 }])
+      : this.dirtyRows;
+    for (const [y, span] of dirty) {
+      if (y >= this.rows) {
+        continue;
+      }
+      const text = this.getRowText(this.buffer[y]);
+      if (text !== previousTexts[y]) {
+        texts[y] = text;
+        changedRows.push(y);
+        damage.top = Math.min(damage.top, y);
+        damage.bottom = Math.max(damage.bottom, y);
+        damage.left = Math.min(damage.left, span.left);
+        damage.right = Math.max(damage.right, span.right);
+      }
     }
+    this.dirtyRows.clear();
+    this.allDirty = false;
     
-    const screenAfter = this.toString();
-    const hasChanged = screenBefore !== screenAfter;
+    const hasChanged = changedRows.length > 0 || resized;
     
     if (hasChanged) {
+      this.rowTexts = texts;
       this.frameCounter++;
       this.hasChangedSinceLastCheck = true;
       
@@ -89,55 +396,68 @@ class VirtualTerminal {
       const changeData = {
         frameNumber: this.frameCounter,
         timestamp: new Date(),
-        screenBefore,
-        screenAfter,
+        get screenBefore() {
+          return previousTexts.join('\n');
+        },
+        get screenAfter() {
+          return texts.join('\n');
+        },
+        changedRows: changedRows.sort((a, b) => a - b),
+        damage: changedRows.length > 0 ? damage : null,
         cursorPosition: this.getCursorPosition(),
-        inputData: data
+        inputData
       };
       
       this.notifyChangeListeners(changeData);
-    }
-    
-    if (this.verbose) {
-      console.log('Cursor after:', JSON.stringify(this.cursor));
+      if (this.frameListeners.size > 0) {
+        this.frameScheduler.schedule(changeData);
+      }
       
-      if (hasChanged) {
+      if (this.verbose) {
+        console.log('Cursor after:', JSON.stringify(this.cursor));
         console.log(`\n--- SCREEN CHANGE (Frame ${this.frameCounter}) ---`);
+        console.log('Changed rows:', changeData.changedRows.join(', '));
         console.log('BEFORE:');
-        this.logScreen(screenBefore);
+        this.logScreen(changeData.screenBefore);
         console.log('\nAFTER:');
-        this.logScreen(screenAfter);
+        this.logScreen(changeData.screenAfter);
         console.log('--- END SCREEN CHANGE ---');
-      } else {
-        console.log('No screen changes detected.');
       }
+    } else if (this.verbose) {
+      console.log('Cursor after:', JSON.stringify(this.cursor));
+      console.log('No screen changes detected.');
     }
   }
   
-  processChar(char) {
-    const code = char.charCodeAt(0);
-    
-    switch (this.parseState.state) {
-      case 'normal':
-        this.handleNormalChar(char, code);
-        break;
-      case 'escape':
-        this.handleEscapeChar(char, code);
-        break;
-      case 'csi':
-        this.handleCSIChar(char, code);
-        break;
-      case 'osc':
-        this.handleOSCChar(char, code);
-        break;
+  // Dirty tracking - every cell write marks its row and column span
+  markDirty(y, left = 0, right = this.cols - 1) {
+    const span = this.dirtyRows.get(y);
+    if (span) {
+      span.left = Math.min(span.left, left);
+      span.right = Math.max(span.right, right);
+    } else {
+      this.dirtyRows.set(y, { left, right });
+    }
+  }
+  
+  markRegionDirty(top, bottom) {
+    const { left, right } = this.margins;
+    for (let y = top; y <= bottom; y++) {
+      this.markDirty(y, left, right);
     }
   }
   
-  handleNormalChar(char, code) {
+  markAllDirty() {
+    this.allDirty = true;
+  }
+  
+  getRowText(row) {
+    return row.map(cell => cell.char).join('');
+  }
+  
+  // C0 and C1 control functions
+  executeControl(code) {
     switch (code) {
-      case 0x1B: // ESC
-        this.parseState = { state: 'escape', params: [], current: '', intermediate: '' };
-        break;
       case 0x08: // Backspace
         this.moveCursorLeft();
         break;
@@ -145,87 +465,327 @@ class VirtualTerminal {
         this.tab();
         break;
       case 0x0A: // Line Feed (LF)
+      case 0x0B: // Vertical Tab, treated as LF
+      case 0x0C: // Form Feed, treated as LF
         this.lineFeed();
         break;
       case 0x0D: // Carriage Return (CR)
         this.carriageReturn();
         break;
       case 0x07: // Bell
-        // Ignore bell for now
+        this.emit('bell');
         break;
-      default:
-        if (code >= 32 || code === 0x0A) { // Printable chars
-          this.printChar(char);
-        }
+      case 0x0E: // Shift Out - invoke G1
+        this.charset.active = 1;
+        break;
+      case 0x0F: // Shift In - invoke G0
+        this.charset.active = 0;
+        break;
+      case 0x84: // Index (IND)
+        this.index();
+        break;
+      case 0x85: // Next Line (NEL)
+        this.nextLine();
+        break;
+      case 0x88: // Horizontal Tab Set (HTS)
+        this.setTabStop();
+        break;
+      case 0x8D: // Reverse Index (RI)
+        this.reverseIndex();
         break;
     }
   }
   
-  handleEscapeChar(char, code) {
-    switch (char) {
-      case '[':
-        this.parseState.state = 'csi';
-        break;
-      case ']':
-        this.parseState.state = 'osc';
-        break;
+  handleEscapeSequence(finalChar, intermediates) {
+    if (intermediates) {
+      this.handleEscapeWithIntermediate(finalChar, intermediates);
+      return;
+    }
+    
+    switch (finalChar) {
       case 'D': // Index (move down)
         this.index();
-        this.parseState.state = 'normal';
         break;
       case 'M': // Reverse Index (move up)
         this.reverseIndex();
-        this.parseState.state = 'normal';
         break;
       case 'E': // Next Line
         this.nextLine();
-        this.parseState.state = 'normal';
+        break;
+      case 'H': // Horizontal Tab Set
+        this.setTabStop();
         break;
       case '7': // Save cursor
         this.saveCursor();
-        this.parseState.state = 'normal';
         break;
       case '8': // Restore cursor
         this.restoreCursor();
-        this.parseState.state = 'normal';
         break;
       case 'c': // Reset
         this.reset();
-        this.parseState.state = 'normal';
+        break;
+      case '\\': // String Terminator - the string it ends was handled by the parser
         break;
       default:
-        // Unknown escape sequence, return to normal
-        this.parseState.state = 'normal';
+        if (this.debug) {
+          console.log('Unhandled escape sequence:', finalChar);
+        }
         break;
     }
   }
   
-  handleCSIChar(char, code) {
-    // CSI (Control Sequence Introducer) parameters
-    if (code >= 48 && code <= 57) { // 0-9
-      this.parseState.current += char;
-    } else if (char === ';') {
-      this.parseState.params.push(parseInt(this.parseState.current) || 0);
-      this.parseState.current = '';
-    } else if (code >= 32 && code <= 47) { // Intermediate chars (space to /)
-      this.parseState.intermediate += char;
-    } else if (char === '?') { // Special case for ? parameter
-      this.parseState.intermediate += char;
-    } else {
-      // Final character
-      if (this.parseState.current) {
-        this.parseState.params.push(parseInt(this.parseState.current) || 0);
+  handleEscapeWithIntermediate(finalChar, intermediate) {
+    const slot = ['(', ')', '*', '+'].indexOf(intermediate);
+    if (slot !== -1) { // Designate G0-G3 character set
+      this.charset.designations[slot] = finalChar;
+    } else if (this.debug) {
+      console.log('Unhandled escape sequence:', intermediate, finalChar);
+    }
+  }
+  
+  // Map a character through the character set invoked into GL
+  translateCharset(char) {
+    const table = CHARSETS[this.charset.designations[this.charset.active]];
+    return (table && table[char]) || char;
+  }
+  
+  // OSC payloads look like "<number>;<data>" and go to the handlers registered for the number
+  handleOSCSequence(data) {
+    const separator = data.indexOf(';');
+    const ident = parseInt(separator === -1 ? data : data.substring(0, separator));
+    const handlers = this.oscHandlers.get(ident);
+    if (!handlers) {
+      if (this.debug) {
+        console.log('Unhandled OSC sequence:', JSON.stringify(data));
+      }
+      return;
+    }
+    const payload = separator === -1 ? '' : data.substring(separator + 1);
+    for (const handler of handlers) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error('Error in OSC handler:', error);
+      }
+    }
+  }
+  
+  handleDCSSequence(ident, params, data) {
+    const handlers = this.dcsHandlers.get(ident);
+    if (!handlers) {
+      if (this.debug) {
+        console.log('Unhandled DCS sequence:', ident, JSON.stringify(data));
+      }
+      return;
+    }
+    for (const handler of handlers) {
+      try {
+        handler(data, params);
+      } catch (error) {
+        console.error('Error in DCS handler:', error);
+      }
+    }
+  }
+  
+  // OSC 8 ; params ; url - characters printed until the next OSC 8 carry the link.
+  // params are key=value pairs separated by ':'; an id ties together the parts of a link
+  // that is drawn in pieces. An empty url ends the link.
+  setHyperlink(payload) {
+    const separator = payload.indexOf(';');
+    if (separator === -1) {
+      return;
+    }
+    const url = payload.substring(separator + 1);
+    if (!url) {
+      this.hyperlink = null;
+      return;
+    }
+    const id = payload.substring(0, separator).split(':')
+      .find(param => param.startsWith('id='))?.substring(3);
+    this.hyperlink = id ? { url, id } : { url };
+  }
+  
+  // OSC 52 ; selection ; base64 text - a program sets the clipboard (selection 'c') or
+  // primary selection ('p', 's', '0'-'7'). Emitted as a 'clipboard' event with
+  // { selection, text }. Clipboard reads ('?') are not answered.
+  handleClipboard(payload) {
+    const separator = payload.indexOf(';');
+    if (separator === -1) {
+      return;
+    }
+    const selection = payload.substring(0, separator) || 's0';
+    const data = payload.substring(separator + 1).replace(/\s/g, '');
+    if (data === '?' || !/^[A-Za-z0-9+/]*={0,2}$/.test(data)) {
+      return;
+    }
+    this.emit('clipboard', { selection, text: Buffer.from(data, 'base64').toString('utf8') });
+  }
+  
+  // Desktop notifications as a 'notification' event with { title, body }:
+  // OSC 9 ; body (iTerm2) and OSC 777 ; notify ; title ; body (urxvt). ConEmu's numbered
+  // OSC 9 commands (e.g. 9;4 progress) and other OSC 777 commands are ignored.
+  handleNotification(payload, extended = false) {
+    if (!extended) {
+      if (payload && !/^\d+(;|$)/.test(payload)) {
+        this.emit('notification', { title: '', body: payload });
+      }
+      return;
+    }
+    const [command, title = '', ...body] = payload.split(';');
+    if (command === 'notify') {
+      this.emit('notification', { title, body: body.join(';') });
+    }
+  }
+  
+  // OSC 133 ; type [; params] - FinalTerm shell integration marks written by the shell:
+  // A prompt start, B command start (end of the prompt), C output start (the command
+  // runs) and D [; exit code] command finished. Marks stay on the rows of the main screen
+  // as row.marks = [{ type, x, exitCode }], so they scroll and reflow with the text.
+  // C emits 'commandStart' with { command }, D emits 'commandFinish' with the command's
+  // entry from getCommands() and its duration in milliseconds.
+  handleShellMark(payload) {
+    const [type, ...params] = payload.split(';');
+    if (!SHELL_MARK_TYPES.includes(type) || this.isAltScreen) {
+      return;
+    }
+    this.shellIntegration = true;
+    
+    // A pending wrap puts the cursor after the last column
+    const mark = { type, x: this.cursor.x + (this.wrapPending ? 1 : 0) };
+    if (type === 'D') {
+      const exitCode = parseInt(params[0], 10);
+      mark.exitCode = Number.isNaN(exitCode) ? null : exitCode;
+    }
+    // A prompt redrawn in place (e.g. by zsh) repeats its marks on the same row
+    const row = this.buffer[this.cursor.y];
+    row.marks = (row.marks || []).filter(existing => existing.type !== type);
+    row.marks.push(mark);
+    
+    if (type === 'C') {
+      this.commandRunning = true;
+      this.commandStartedAt = Date.now();
+      const commands = this.getCommands();
+      this.emit('commandStart', { command: commands[commands.length - 1].command });
+    } else if (this.commandRunning && (type === 'D' || type === 'A')) {
+      // A prompt without a finish mark still ends the command, with an unknown exit code.
+      // When the screen was cleared since the output started (e.g. by `clear`) only the
+      // exit code is known.
+      this.commandRunning = false;
+      const line = this.screens.main.scrollback.length + this.cursor.y;
+      const commands = this.getCommands();
+      const last = commands[commands.length - 1];
+      const command = last && last.endLine === line
+        ? last
+        : { command: '', output: '', exitCode: mark.exitCode ?? null, running: false, startLine: line, endLine: line };
+      this.emit('commandFinish', { ...command, duration: Date.now() - this.commandStartedAt });
+    }
+  }
+  
+  // Commands found through shell integration marks on the main screen and its scrollback,
+  // oldest first, as { command, output, exitCode, running, startLine, endLine }.
+  // Lines count from the oldest scrollback line; endLine is null while the command runs.
+  // Commands whose output start mark was cleared or dropped from the history are left out.
+  getCommands() {
+    const screen = this.screens.main;
+    const lines = [...screen.scrollback.getRange(), ...screen.buffer];
+    const commands = [];
+    let prompt = null;
+    let current = null;
+    
+    lines.forEach((row, line) => {
+      for (const mark of row.marks || []) {
+        const position = { line, x: mark.x };
+        if (mark.type === 'A') {
+          // A prompt also ends a command that had no finish mark
+          if (current && !current.outputEnd) {
+            current.outputEnd = position;
+          }
+          prompt = { start: position, end: null };
+          current = null;
+        } else if (mark.type === 'B' && prompt) {
+          prompt.end = position;
+        } else if (mark.type === 'C') {
+          current = { input: prompt?.end, outputStart: position, outputEnd: null, exitCode: null };
+          commands.push(current);
+          prompt = null;
+        } else if (mark.type === 'D' && current && !current.outputEnd) {
+          current.outputEnd = position;
+          current.exitCode = mark.exitCode ?? null;
+        }
+      }
+    });
+    
+    const end = { line: lines.length - 1, x: this.cols };
+    return commands.map(({ input, outputStart, outputEnd, exitCode }) => ({
+      command: input ? textBetween(lines, input, outputStart).trim() : '',
+      output: textBetween(lines, outputStart, outputEnd || end),
+      exitCode,
+      running: !outputEnd,
+      startLine: input ? input.line : outputStart.line,
+      endLine: outputEnd ? outputEnd.line : null
+    }));
+  }
+  
+  // Links on the screen as { url, id, text, row, col }, one per run of linked cells.
+  // A run continued on the next row by autowrap is one link.
+  getLinks() {
+    const links = [];
+    let current = null;
+    
+    this.buffer.forEach((row, y) => {
+      row.forEach((cell, x) => {
+        const link = cell.attr.link;
+        if (!link) {
+          current = null;
+          return;
+        }
+        if (!current || current.url !== link.url || current.id !== link.id) {
+          current = { url: link.url, id: link.id, text: '', row: y, col: x };
+          links.push(current);
+        }
+        current.text += cell.char;
+      });
+      if (!row.wrapped) {
+        current = null;
       }
-      this.handleCSISequence(char, this.parseState.params, this.parseState.intermediate);
-      this.parseState.state = 'normal';
+    });
+    
+    for (const link of links) {
+      link.text = link.text.trim();
     }
+    return links;
+  }
+  
+  // Register a handler for OSC <ident> payloads (the text after "<ident>;")
+  // Returns a function that removes the handler.
+  registerOscHandler(ident, handler) {
+    return this.addSequenceHandler(this.oscHandlers, ident, handler);
+  }
+  
+  // Register a handler for DCS strings, identified by private marker, intermediates and
+  // final character (e.g. '$q' for DECRQSS, 'q' for sixel). The handler receives the
+  // payload and the numeric parameters. Returns a function that removes the handler.
+  registerDcsHandler(ident, handler) {
+    return this.addSequenceHandler(this.dcsHandlers, ident, handler);
   }
   
-  handleOSCChar(char, code) {
-    if (code === 0x07 || char === '\\') { // Bell or String Terminator
-      this.parseState.state = 'normal';
+  addSequenceHandler(handlers, ident, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error('Handler must be a function');
+    }
+    if (!handlers.has(ident)) {
+      handlers.set(ident, new Set());
     }
-    // For now, ignore OSC sequences (title setting, etc.)
+    handlers.get(ident).add(handler);
+    return () => {
+      const set = handlers.get(ident);
+      if (set) {
+        set.delete(handler);
+        if (set.size === 0) {
+          handlers.delete(ident);
+        }
+      }
+    };
   }
   
   handleCSISequence(finalChar, params, intermediate) {
@@ -233,6 +793,18 @@ class VirtualTerminal {
       console.log('CSI:', finalChar, params, intermediate);
     }
     
+    // Only SGR understands ':' sub-parameters; elsewhere a parameter is its first part
+    if (finalChar !== 'm') {
+      params = params.map(param => (Array.isArray(param) ? param[0] ?? 0 : param));
+    }
+    
+    if (intermediate !== '' && !CSI_PREFIXES[finalChar]?.includes(intermediate)) {
+      if (this.debug) {
+        console.log('Unhandled CSI sequence:', intermediate, finalChar, params);
+      }
+      return;
+    }
+    
     switch (finalChar) {
       case 'A': // Cursor Up
         this.moveCursorUp(params[0] || 1);
@@ -246,6 +818,38 @@ class VirtualTerminal {
       case 'D': // Cursor Left
         this.moveCursorLeft(params[0] || 1);
         break;
+      case 'E': // Cursor Next Line
+        this.moveCursorDown(params[0] || 1);
+        this.carriageReturn();
+        break;
+      case 'F': // Cursor Previous Line
+        this.moveCursorUp(params[0] || 1);
+        this.carriageReturn();
+        break;
+      case 'a': // Character Position Relative
+        this.moveCursorRight(params[0] || 1);
+        break;
+      case 'e': // Line Position Relative
+        this.moveCursorDown(params[0] || 1);
+        break;
+      case 'I': // Cursor Forward Tabulation
+        this.tab(params[0] || 1);
+        break;
+      case 'Z': // Cursor Backward Tabulation
+        this.backTab(params[0] || 1);
+        break;
+      case 'g': // Tab Clear
+        this.clearTabStop(params[0] || 0);
+        break;
+      case '@': // Insert Characters
+        this.insertCharacters(params[0] || 1);
+        break;
+      case 'X': // Erase Characters
+        this.eraseCharacters(params[0] || 1);
+        break;
+      case 'b': // Repeat preceding graphic character
+        this.repeatLastChar(params[0] || 1);
+        break;
       case 'H': // Cursor Position
       case 'f': // Horizontal and Vertical Position
         this.setCursorPosition(params[1] || 1, params[0] || 1);
@@ -272,10 +876,11 @@ class VirtualTerminal {
         this.scrollDown(params[0] || 1);
         break;
       case 'd': // Line Position Absolute
-        this.setCursorPosition(this.cursor.x + 1, params[0] || 1);
+        this.setCursorRow(params[0] || 1);
         break;
       case 'G': // Cursor Character Absolute
-        this.setCursorPosition(params[0] || 1, this.cursor.y + 1);
+      case '`': // Character Position Absolute
+        this.setCursorColumn(params[0] || 1);
         break;
       case 'r': // Set Scrolling Region
         this.setScrollRegion(params[0] || 1, params[1] || this.rows);
@@ -289,8 +894,23 @@ class VirtualTerminal {
       case 'l': // Reset Mode
         this.resetMode(params, intermediate);
         break;
-      case 's': // Save cursor position
-        this.saveCursor();
+      case 'c': // Device Attributes
+        this.reportDeviceAttributes(params, intermediate);
+        break;
+      case 'n': // Device Status Report
+        this.reportDeviceStatus(params[0] || 0, intermediate);
+        break;
+      case 'p': // Request Mode (DECRQM) - CSI Pm $ p / CSI ? Pm $ p
+        if (intermediate === '$' || intermediate === '?$') {
+          this.reportMode(params[0] || 0, intermediate === '?$');
+        }
+        break;
+      case 's': // Set left/right margins (DECSLRM) or save cursor position
+        if (this.leftRightMarginMode) {
+          this.setLeftRightMargins(params[0] || 1, params[1] || this.cols);
+        } else {
+          this.saveCursor();
+        }
         break;
       case 'u': // Restore cursor position
         this.restoreCursor();
@@ -304,93 +924,310 @@ class VirtualTerminal {
   }
   
   // Cursor movement methods
+  // Vertical movement stops at the scroll region margins when starting inside the region
   moveCursorUp(count = 1) {
-    this.cursor.y = Math.max(0, this.cursor.y - count);
+    this.wrapPending = false;
+    const top = this.cursor.y >= this.scrollRegion.top ? this.scrollRegion.top : 0;
+    this.cursor.y = Math.max(top, this.cursor.y - count);
   }
   
   moveCursorDown(count = 1) {
-    this.cursor.y = Math.min(this.rows - 1, this.cursor.y + count);
+    this.wrapPending = false;
+    const bottom = this.cursor.y <= this.scrollRegion.bottom ? this.scrollRegion.bottom : this.rows - 1;
+    this.cursor.y = Math.min(bottom, this.cursor.y + count);
   }
   
+  // Horizontal movement stops at the left/right margins when starting inside them
   moveCursorRight(count = 1) {
-    this.cursor.x = Math.min(this.cols - 1, this.cursor.x + count);
+    this.wrapPending = false;
+    const right = this.cursor.x <= this.margins.right ? this.margins.right : this.cols - 1;
+    this.cursor.x = Math.min(right, this.cursor.x + count);
   }
   
   moveCursorLeft(count = 1) {
-    this.cursor.x = Math.max(0, this.cursor.x - count);
+    this.wrapPending = false;
+    const left = this.cursor.x >= this.margins.left ? this.margins.left : 0;
+    this.cursor.x = Math.max(left, this.cursor.x - count);
   }
   
+  // 1-based position; relative to the scroll region and margins in origin mode
   setCursorPosition(col, row) {
-    this.cursor.x = Math.max(0, Math.min(this.cols - 1, col - 1));
-    this.cursor.y = Math.max(0, Math.min(this.rows - 1, row - 1));
-  }
-  
-  saveCursor() {
-    this.savedCursor = { ...this.cursor };
+    this.setCursorColumn(col);
+    this.setCursorRow(row);
   }
   
-  restoreCursor() {
-    this.cursor = { ...this.savedCursor };
+  setCursorColumn(col) {
+    this.wrapPending = false;
+    if (this.originMode) {
+      this.cursor.x = Math.max(this.margins.left, Math.min(this.margins.right, this.margins.left + col - 1));
+    } else {
+      this.cursor.x = Math.max(0, Math.min(this.cols - 1, col - 1));
+    }
   }
   
-  // Character printing
-  printChar(char) {
-    if (this.cursor.x >= this.cols) {
-      this.cursor.x = 0;
-      this.lineFeed();
+  setCursorRow(row) {
+    this.wrapPending = false;
+    if (this.originMode) {
+      this.cursor.y = Math.max(this.scrollRegion.top, Math.min(this.scrollRegion.bottom, this.scrollRegion.top + row - 1));
+    } else {
+      this.cursor.y = Math.max(0, Math.min(this.rows - 1, row - 1));
     }
-    
-    this.buffer[this.cursor.y][this.cursor.x] = {
-      char: char,
-      attr: { ...this.currentAttr }
-    };
-    
-    this.cursor.x++;
   }
   
-  // Line operations
-  lineFeed() {
-    this.cursor.x = 0; // LF should also do CR in terminal emulation
-    if (this.cursor.y >= this.rows - 1) {
-      this.scrollUp();
-    } else {
-      this.cursor.y++;
+  // Cursor position as reported to applications (CPR), origin-relative in origin mode
+  getReportedCursorPosition() {
+    if (this.originMode) {
+      return {
+        row: this.cursor.y - this.scrollRegion.top + 1,
+        col: this.cursor.x - this.margins.left + 1
+      };
     }
+    return { row: this.cursor.y + 1, col: this.cursor.x + 1 };
   }
   
-  carriageReturn() {
-    this.cursor.x = 0;
+  isCursorInScrollRegion() {
+    return this.cursor.y >= this.scrollRegion.top && this.cursor.y <= this.scrollRegion.bottom;
   }
   
-  nextLine() {
-    this.carriageReturn();
-    this.lineFeed();
+  isCursorInMargins() {
+    return this.cursor.x >= this.margins.left && this.cursor.x <= this.margins.right;
   }
   
-  tab() {
-    const nextTab = Math.floor(this.cursor.x / 8) * 8 + 8;
-    this.cursor.x = Math.min(nextTab, this.cols - 1);
+  hasFullWidthMargins() {
+    return this.margins.left === 0 && this.margins.right === this.cols - 1;
   }
   
-  index() {
-    this.lineFeed();
+  // DECSC saves the cursor together with the pending wrap flag, SGR attributes and
+  // character sets. Each screen has its own saved cursor.
+  saveCursor() {
+    this.savedCursor = {
+      ...this.cursor,
+      attr: { ...this.currentAttr },
+      wrapPending: this.wrapPending,
+      originMode: this.originMode,
+      charset: {
+        designations: [...this.charset.designations],
+        active: this.charset.active
+      }
+    };
   }
   
-  reverseIndex() {
-    if (this.cursor.y <= this.scrollRegion.top) {
-      this.scrollDown();
-    } else {
-      this.cursor.y--;
-    }
+  restoreCursor() {
+    const { attr, wrapPending = false, originMode = false, charset, ...cursor } = this.savedCursor;
+    this.cursor = {
+      x: Math.min(cursor.x, this.cols - 1),
+      y: Math.min(cursor.y, this.rows - 1)
+    };
+    this.currentAttr = attr ? { ...attr } : createDefaultAttr();
+    this.wrapPending = wrapPending;
+    this.originMode = originMode;
+    this.charset = charset
+      ? { designations: [...charset.designations], active: charset.active }
+      : createDefaultCharsetState();
   }
   
-  // Erase operations
-  eraseInDisplay(mode) {
-    switch (mode) {
-      case 0: // Erase from cursor to end of screen
-        this.eraseInLine(0);
-        for (let y = this.cursor.y + 1; y < this.rows; y++) {
-          this.clearLine(y);
+  // Character printing
+  //
+  // Cells hold a whole grapheme: combining marks, variation selectors and ZWJ sequences
+  // are appended to the preceding cell. Wide characters occupy a cell with width 2
+  // followed by a continuation cell with width 0 and an empty char.
+  printChar(char) {
+    const previous = this.getPreviousCell();
+    if (previous && this.joinsPreviousCell(char, previous.char)) {
+      previous.char += char;
+      this.markDirty(this.cursor.y);
+      if (this.lastPrintedChar !== null) {
+        this.lastPrintedChar += char;
+      }
+      return;
+    }
+    
+    const width = charWidth(char);
+    if (width === 0) {
+      // Nothing to attach to (start of line) - drop the stray mark
+      return;
+    }
+    
+    if (this.wrapPending) {
+      this.wrapLine();
+    }
+    
+    // Text wraps at the right margin, or at the screen edge when the cursor is past it
+    const rightEdge = this.cursor.x <= this.margins.right ? this.margins.right : this.cols - 1;
+    
+    if (this.cursor.x + width > rightEdge + 1) {
+      if (this.autowrap) {
+        // Wide character does not fit in the last column - leave it blank and wrap
+        this.breakWideChar(this.cursor.y, this.cursor.x);
+        this.buffer[this.cursor.y][this.cursor.x] = { char: ' ', attr: { ...this.currentAttr } };
+        this.markDirty(this.cursor.y, this.cursor.x, this.cursor.x);
+        this.wrapLine(true);
+      } else {
+        this.cursor.x = rightEdge + 1 - width;
+      }
+    }
+    
+    const { x, y } = this.cursor;
+    this.breakWideChar(y, x);
+    this.lastPrintedChar = char;
+    
+    const attr = this.hyperlink ? { ...this.currentAttr, link: this.hyperlink } : this.currentAttr;
+    if (width === 2) {
+      this.breakWideChar(y, x + 1);
+      this.buffer[y][x] = { char, attr: { ...attr }, width: 2 };
+      this.buffer[y][x + 1] = { char: '', attr: { ...attr }, width: 0 };
+    } else {
+      this.buffer[y][x] = { char, attr: { ...attr } };
+    }
+    this.markDirty(y, x, x + width - 1);
+    
+    if (x + width > rightEdge) {
+      // Reached the right margin: stay in the last column until the next character
+      this.cursor.x = rightEdge;
+      this.wrapPending = this.autowrap;
+    } else {
+      this.cursor.x = x + width;
+    }
+  }
+  
+  // Cell holding the grapheme right before the cursor, skipping wide-char continuations
+  getPreviousCell() {
+    // With a pending wrap the last printed cell is the one under the cursor
+    let x = this.wrapPending ? this.cursor.x : this.cursor.x - 1;
+    const row = this.buffer[this.cursor.y];
+    if (x < 0 || !row) {
+      return null;
+    }
+    if (row[x].width === 0 && x > 0) {
+      x--;
+    }
+    return row[x];
+  }
+  
+  joinsPreviousCell(char, previousChar) {
+    if (charWidth(char) === 0) {
+      return true;
+    }
+    if (previousChar.endsWith(ZERO_WIDTH_JOINER) || isEmojiModifier(char)) {
+      return true;
+    }
+    // Two regional indicators form a single flag
+    if (isRegionalIndicator(char.codePointAt(0))) {
+      const codePoints = [...previousChar];
+      return codePoints.length === 1 && isRegionalIndicator(codePoints[0].codePointAt(0));
+    }
+    return false;
+  }
+  
+  // Overwriting either half of a wide character blanks the other half
+  breakWideChar(y, x) {
+    const row = this.buffer[y];
+    const cell = row[x];
+    if (!cell) {
+      return;
+    }
+    if (cell.width === 2 && row[x + 1]) {
+      row[x + 1] = { char: ' ', attr: { ...row[x + 1].attr } };
+      this.markDirty(y, x + 1, x + 1);
+    } else if (cell.width === 0 && x > 0) {
+      row[x - 1] = { char: ' ', attr: { ...row[x - 1].attr } };
+      this.markDirty(y, x - 1, x - 1);
+    }
+  }
+  
+  // Line operations
+  lineFeed() {
+    // LF should also do CR in terminal emulation
+    this.index();
+    this.carriageReturn();
+  }
+  
+  // Autowrap to the next line. The row is flagged as continuing on the next one
+  // so that resize can reflow it, and whether its last cell only pads a wide character
+  // that moved to the next line.
+  wrapLine(padded = false) {
+    this.buffer[this.cursor.y].wrapped = true;
+    this.buffer[this.cursor.y].wrapPadding = padded;
+    this.lineFeed();
+  }
+  
+  // Return to the left margin, or to column 0 when the cursor is left of it
+  carriageReturn() {
+    this.wrapPending = false;
+    this.cursor.x = this.cursor.x >= this.margins.left ? this.margins.left : 0;
+  }
+  
+  nextLine() {
+    this.index();
+    this.carriageReturn();
+  }
+  
+  // Move to the next tab stop, or the last column when there is none
+  tab(count = 1) {
+    this.wrapPending = false;
+    for (let i = 0; i < count && this.cursor.x < this.cols - 1; i++) {
+      let x = this.cursor.x + 1;
+      while (x < this.cols - 1 && !this.tabStops.has(x)) {
+        x++;
+      }
+      this.cursor.x = x;
+    }
+  }
+  
+  // Move to the previous tab stop, or the first column when there is none
+  backTab(count = 1) {
+    this.wrapPending = false;
+    for (let i = 0; i < count && this.cursor.x > 0; i++) {
+      let x = this.cursor.x - 1;
+      while (x > 0 && !this.tabStops.has(x)) {
+        x--;
+      }
+      this.cursor.x = x;
+    }
+  }
+  
+  setTabStop() {
+    this.tabStops.add(this.cursor.x);
+  }
+  
+  clearTabStop(mode) {
+    switch (mode) {
+      case 0: // Clear tab stop at cursor column
+        this.tabStops.delete(this.cursor.x);
+        break;
+      case 3: // Clear all tab stops
+        this.tabStops.clear();
+        break;
+    }
+  }
+  
+  // Move down one line, scrolling when the cursor is on the bottom margin
+  index() {
+    this.wrapPending = false;
+    if (this.cursor.y === this.scrollRegion.bottom) {
+      this.scrollUp();
+    } else if (this.cursor.y < this.rows - 1) {
+      this.cursor.y++;
+    }
+  }
+  
+  // Move up one line, scrolling when the cursor is on the top margin
+  reverseIndex() {
+    this.wrapPending = false;
+    if (this.cursor.y === this.scrollRegion.top) {
+      this.scrollDown();
+    } else if (this.cursor.y > 0) {
+      this.cursor.y--;
+    }
+  }
+  
+  // Erase operations
+  eraseInDisplay(mode) {
+    switch (mode) {
+      case 0: // Erase from cursor to end of screen
+        this.eraseInLine(0);
+        for (let y = this.cursor.y + 1; y < this.rows; y++) {
+          this.clearLine(y);
         }
         break;
       case 1: // Erase from beginning of screen to cursor
@@ -402,21 +1239,32 @@ class VirtualTerminal {
       case 2: // Erase entire screen
         this.clearScreen();
         break;
+      case 3: // Erase scrollback history
+        this.clearScrollback();
+        break;
     }
   }
   
   eraseInLine(mode) {
+    this.wrapPending = false;
     const y = this.cursor.y;
     switch (mode) {
       case 0: // Erase from cursor to end of line
+        this.breakWideChar(y, this.cursor.x);
+        this.breakWideChar(y, this.cols - 1);
         for (let x = this.cursor.x; x < this.cols; x++) {
           this.buffer[y][x] = { char: ' ', attr: { ...this.currentAttr } };
         }
+        this.buffer[y].wrapped = false;
+        this.markDirty(y, this.cursor.x);
         break;
       case 1: // Erase from beginning of line to cursor
+        this.breakWideChar(y, 0);
+        this.breakWideChar(y, this.cursor.x);
         for (let x = 0; x <= this.cursor.x; x++) {
           this.buffer[y][x] = { char: ' ', attr: { ...this.currentAttr } };
         }
+        this.markDirty(y, 0, this.cursor.x);
         break;
       case 2: // Erase entire line
         this.clearLine(y);
@@ -425,137 +1273,380 @@ class VirtualTerminal {
   }
   
   clearLine(y) {
+    this.breakWideChar(y, 0);
+    this.breakWideChar(y, this.cols - 1);
     for (let x = 0; x < this.cols; x++) {
       this.buffer[y][x] = { char: ' ', attr: { ...this.currentAttr } };
     }
+    this.buffer[y].wrapped = false;
+    this.markDirty(y);
   }
   
   clearScreen() {
     this.buffer = this.createEmptyBuffer();
     this.cursor = { x: 0, y: 0 };
+    this.wrapPending = false;
+  }
+  
+  createBlankRow() {
+    return Array(this.cols).fill(null).map(() => ({ char: ' ', attr: { ...this.currentAttr } }));
   }
   
   // Scrolling operations
-  scrollUp(count = 1) {
-    for (let i = 0; i < count; i++) {
-      // Remove top line from scroll region
-      for (let y = this.scrollRegion.top; y < this.scrollRegion.bottom; y++) {
-        this.buffer[y] = this.buffer[y + 1].map(cell => ({ ...cell }));
+  // Scrolling moves the lines between top and bottom, limited to the left/right margins
+  scrollUp(count = 1, top = this.scrollRegion.top, saveToHistory = true) {
+    const bottom = this.scrollRegion.bottom;
+    const lines = Math.min(count, bottom - top + 1);
+    this.markRegionDirty(top, bottom);
+    
+    if (this.hasFullWidthMargins()) {
+      for (let i = 0; i < lines; i++) {
+        const [removed] = this.buffer.splice(top, 1);
+        // Lines leaving the top of the screen go to the scrollback history
+        if (saveToHistory && top === 0) {
+          this.getActiveScrollback().push(removed);
+        }
+        this.buffer.splice(bottom, 0, this.createBlankRow());
+      }
+      return;
+    }
+    
+    const { left, right } = this.margins;
+    for (let y = top; y <= bottom; y++) {
+      for (let x = left; x <= right; x++) {
+        this.buffer[y][x] = y + lines <= bottom
+          ? { ...this.buffer[y + lines][x] }
+          : { char: ' ', attr: { ...this.currentAttr } };
       }
-      // Clear bottom line
-      this.clearLine(this.scrollRegion.bottom);
     }
   }
   
-  scrollDown(count = 1) {
-    for (let i = 0; i < count; i++) {
-      // Move lines down in scroll region
-      for (let y = this.scrollRegion.bottom; y > this.scrollRegion.top; y--) {
-        this.buffer[y] = [...this.buffer[y - 1]];
+  scrollDown(count = 1, top = this.scrollRegion.top) {
+    const bottom = this.scrollRegion.bottom;
+    const lines = Math.min(count, bottom - top + 1);
+    this.markRegionDirty(top, bottom);
+    
+    if (this.hasFullWidthMargins()) {
+      for (let i = 0; i < lines; i++) {
+        this.buffer.splice(bottom, 1);
+        this.buffer.splice(top, 0, this.createBlankRow());
+      }
+      return;
+    }
+    
+    const { left, right } = this.margins;
+    for (let y = bottom; y >= top; y--) {
+      for (let x = left; x <= right; x++) {
+        this.buffer[y][x] = y - lines >= top
+          ? { ...this.buffer[y - lines][x] }
+          : { char: ' ', attr: { ...this.currentAttr } };
       }
-      // Clear top line
-      this.clearLine(this.scrollRegion.top);
     }
   }
   
-  // Line insertion/deletion
+  // Line insertion/deletion - only inside the scroll region and margins
   insertLines(count) {
-    for (let i = 0; i < count; i++) {
-      // Move lines down
-      for (let y = this.scrollRegion.bottom; y > this.cursor.y; y--) {
-        this.buffer[y] = [...this.buffer[y - 1]];
-      }
-      this.clearLine(this.cursor.y);
+    this.wrapPending = false;
+    if (!this.isCursorInScrollRegion() || !this.isCursorInMargins()) {
+      return;
     }
+    this.scrollDown(count, this.cursor.y);
+    this.cursor.x = this.margins.left;
   }
   
   deleteLines(count) {
-    for (let i = 0; i < count; i++) {
-      // Move lines up
-      for (let y = this.cursor.y; y < this.scrollRegion.bottom; y++) {
-        this.buffer[y] = [...this.buffer[y + 1]];
-      }
-      this.clearLine(this.scrollRegion.bottom);
+    this.wrapPending = false;
+    if (!this.isCursorInScrollRegion() || !this.isCursorInMargins()) {
+      return;
     }
+    this.scrollUp(count, this.cursor.y, false);
+    this.cursor.x = this.margins.left;
   }
   
+  // Character insertion/deletion shifts text up to the right margin
   deleteCharacters(count) {
+    this.wrapPending = false;
+    if (!this.isCursorInMargins()) {
+      return;
+    }
     const y = this.cursor.y;
-    for (let i = 0; i < count; i++) {
-      // Shift characters left
-      for (let x = this.cursor.x; x < this.cols - 1; x++) {
-        this.buffer[y][x] = { ...this.buffer[y][x + 1] };
-      }
-      // Clear last character
-      this.buffer[y][this.cols - 1] = { char: ' ', attr: { ...this.currentAttr } };
+    const row = this.buffer[y];
+    const right = this.margins.right;
+    const shift = Math.min(count, right - this.cursor.x + 1);
+    
+    this.markDirty(y, this.cursor.x, right);
+    this.breakWideChar(y, this.cursor.x);
+    for (let x = this.cursor.x; x <= right; x++) {
+      row[x] = x + shift <= right
+        ? { ...row[x + shift] }
+        : { char: ' ', attr: { ...this.currentAttr } };
+    }
+    // A continuation cell shifted to the cursor has lost its wide character
+    if (row[this.cursor.x].width === 0) {
+      row[this.cursor.x] = { char: ' ', attr: { ...row[this.cursor.x].attr } };
+    }
+  }
+  
+  insertCharacters(count) {
+    this.wrapPending = false;
+    if (!this.isCursorInMargins()) {
+      return;
+    }
+    const y = this.cursor.y;
+    const row = this.buffer[y];
+    const start = this.cursor.x;
+    const right = this.margins.right;
+    const shift = Math.min(count, right - start + 1);
+    
+    this.markDirty(y, start, right);
+    // A wide character whose second half is at the cursor is split and becomes blanks; one
+    // starting at the cursor moves right whole. One straddling the right margin is lost.
+    if (row[start].width === 0) {
+      this.breakWideChar(y, start);
+      row[start] = { char: ' ', attr: { ...row[start].attr } };
+    }
+    if (row[right].width === 2) {
+      this.breakWideChar(y, right);
+    }
+    // Shift characters right, dropping those pushed past the right margin
+    for (let x = right; x >= start + shift; x--) {
+      row[x] = { ...row[x - shift] };
+    }
+    for (let x = start; x < start + shift; x++) {
+      row[x] = { char: ' ', attr: { ...this.currentAttr } };
+    }
+    // A wide character cut in half at the right margin becomes a blank
+    if (row[right].width === 2) {
+      row[right] = { char: ' ', attr: { ...row[right].attr } };
+    }
+  }
+  
+  eraseCharacters(count) {
+    this.wrapPending = false;
+    const y = this.cursor.y;
+    const end = Math.min(this.cols, this.cursor.x + count);
+    
+    this.breakWideChar(y, this.cursor.x);
+    this.breakWideChar(y, end - 1);
+    for (let x = this.cursor.x; x < end; x++) {
+      this.buffer[y][x] = { char: ' ', attr: { ...this.currentAttr } };
+    }
+    this.markDirty(y, this.cursor.x, end - 1);
+  }
+  
+  repeatLastChar(count) {
+    if (this.lastPrintedChar === null) {
+      return;
+    }
+    const char = this.lastPrintedChar;
+    // More repeats than screen cells can't show anything new
+    const repeats = Math.min(count, this.cols * this.rows);
+    for (let i = 0; i < repeats; i++) {
+      this.printChar(char);
     }
   }
   
   // Terminal modes and settings
   setScrollRegion(top, bottom) {
-    this.scrollRegion.top = Math.max(0, top - 1);
-    this.scrollRegion.bottom = Math.min(this.rows - 1, bottom - 1);
-    this.cursor = { x: 0, y: this.scrollRegion.top };
+    const newTop = Math.max(0, top - 1);
+    const newBottom = Math.min(this.rows - 1, bottom - 1);
+    if (newTop >= newBottom) { // Region must be at least two lines
+      return;
+    }
+    this.scrollRegion = { top: newTop, bottom: newBottom };
+    this.setCursorPosition(1, 1);
+  }
+  
+  setLeftRightMargins(left, right) {
+    const newLeft = Math.max(0, left - 1);
+    const newRight = Math.min(this.cols - 1, right - 1);
+    if (newLeft >= newRight) {
+      return;
+    }
+    this.margins = { left: newLeft, right: newRight };
+    this.setCursorPosition(1, 1);
   }
   
   setGraphicRendition(params) {
     if (params.length === 0) params = [0];
     
-    for (const param of params) {
+    for (let i = 0; i < params.length; i++) {
+      let param = params[i];
+      let subParams = null;
+      
+      if (Array.isArray(param)) { // Colon form, e.g. 4:3 or 38:2::r:g:b
+        subParams = param.slice(1);
+        param = param[0];
+      }
+      
+      if (param === 38 || param === 48 || param === 58) { // Extended fg/bg/underline color
+        const { color, consumed } = subParams
+          ? this.parseExtendedColor(subParams, 0, true)
+          : this.parseExtendedColor(params, i + 1, false);
+        if (color !== null) {
+          const target = param === 38 ? 'fg' : param === 48 ? 'bg' : 'underlineColor';
+          this.currentAttr[target] = color;
+        }
+        if (!subParams) {
+          i += consumed;
+        }
+        continue;
+      }
+      
+      if (param >= 30 && param <= 37) { // Foreground colors
+        this.currentAttr.fg = paletteColor(param - 30);
+      } else if (param >= 90 && param <= 97) { // Bright foreground colors
+        this.currentAttr.fg = paletteColor(param - 90 + 8);
+      } else if (param >= 40 && param <= 47) { // Background colors
+        this.currentAttr.bg = paletteColor(param - 40);
+      } else if (param >= 100 && param <= 107) { // Bright background colors
+        this.currentAttr.bg = paletteColor(param - 100 + 8);
+      }
+      
       switch (param) {
         case 0: // Reset
-          this.currentAttr = { fg: 'white', bg: 'black', bold: false, underline: false, reverse: false };
+          this.currentAttr = createDefaultAttr();
           break;
         case 1: // Bold
           this.currentAttr.bold = true;
           break;
-        case 4: // Underline
-          this.currentAttr.underline = true;
+        case 2: // Dim (faint)
+          this.currentAttr.dim = true;
+          break;
+        case 3: // Italic
+          this.currentAttr.italic = true;
+          break;
+        case 4: // Underline, with optional style sub-parameter (4:0 - 4:5)
+          if (subParams && subParams.length > 0) {
+            this.currentAttr.underline = UNDERLINE_STYLES[subParams[0] || 0] ?? 'single';
+          } else {
+            this.currentAttr.underline = 'single';
+          }
+          break;
+        case 5: // Slow blink
+          this.currentAttr.blink = 'slow';
+          break;
+        case 6: // Rapid blink
+          this.currentAttr.blink = 'rapid';
           break;
         case 7: // Reverse
           this.currentAttr.reverse = true;
           break;
+        case 8: // Hidden (concealed)
+          this.currentAttr.hidden = true;
+          break;
+        case 9: // Strikethrough (crossed-out)
+          this.currentAttr.strikethrough = true;
+          break;
+        case 21: // Double underline
+          this.currentAttr.underline = 'double';
+          break;
         case 22: // Normal intensity
           this.currentAttr.bold = false;
+          this.currentAttr.dim = false;
+          break;
+        case 23: // Not italic
+          this.currentAttr.italic = false;
           break;
         case 24: // No underline
           this.currentAttr.underline = false;
           break;
+        case 25: // No blink
+          this.currentAttr.blink = false;
+          break;
         case 27: // No reverse
           this.currentAttr.reverse = false;
           break;
-        // Foreground colors (30-37, 90-97)
-        case 30: this.currentAttr.fg = 'black'; break;
-        case 31: this.currentAttr.fg = 'red'; break;
-        case 32: this.currentAttr.fg = 'green'; break;
-        case 33: this.currentAttr.fg = 'yellow'; break;
-        case 34: this.currentAttr.fg = 'blue'; break;
-        case 35: this.currentAttr.fg = 'magenta'; break;
-        case 36: this.currentAttr.fg = 'cyan'; break;
-        case 37: this.currentAttr.fg = 'white'; break;
-        // Background colors (40-47, 100-107)
-        case 40: this.currentAttr.bg = 'black'; break;
-        case 41: this.currentAttr.bg = 'red'; break;
-        case 42: this.currentAttr.bg = 'green'; break;
-        case 43: this.currentAttr.bg = 'yellow'; break;
-        case 44: this.currentAttr.bg = 'blue'; break;
-        case 45: this.currentAttr.bg = 'magenta'; break;
-        case 46: this.currentAttr.bg = 'cyan'; break;
-        case 47: this.currentAttr.bg = 'white'; break;
+        case 28: // Reveal (not hidden)
+          this.currentAttr.hidden = false;
+          break;
+        case 29: // Not strikethrough
+          this.currentAttr.strikethrough = false;
+          break;
+        case 39: // Default foreground
+          this.currentAttr.fg = DEFAULT_COLOR;
+          break;
+        case 49: // Default background
+          this.currentAttr.bg = DEFAULT_COLOR;
+          break;
+        case 53: // Overline
+          this.currentAttr.overline = true;
+          break;
+        case 55: // Not overline
+          this.currentAttr.overline = false;
+          break;
+        case 59: // Default underline color
+          this.currentAttr.underlineColor = DEFAULT_COLOR;
+          break;
+      }
+    }
+  }
+  
+  // Parse the arguments of SGR 38/48/58: "5;n" (256-color palette) or "2;r;g;b" (truecolor).
+  // The colon form may carry a color space id before the components: "2:id:r:g:b".
+  parseExtendedColor(params, start, isColonForm) {
+    const mode = params[start];
+    
+    if (mode === 5) {
+      const index = params[start + 1];
+      if (index === undefined || index === null) {
+        return { color: null, consumed: params.length - start };
+      }
+      return { color: index <= 255 ? paletteColor(index) : null, consumed: 2 };
+    }
+    
+    if (mode === 2) {
+      const components = isColonForm && params.length - start >= 5
+        ? params.slice(start + 2, start + 5)
+        : params.slice(start + 1, start + 4);
+      if (components.length < 3) {
+        return { color: null, consumed: params.length - start };
       }
+      const [r, g, b] = components.map(value => value || 0);
+      return { color: rgbToHex(r, g, b), consumed: 4 };
     }
+    
+    // Unknown color space - skip the rest of the sequence
+    return { color: null, consumed: params.length - start };
   }
   
   setMode(params, intermediate) {
     for (const param of params) {
+      this.modes.set(`${intermediate}${param}`, true);
       if (intermediate === '?') { // DEC private modes
         switch (param) {
+          case 6: // Origin mode (DECOM)
+            this.originMode = true;
+            this.setCursorPosition(1, 1);
+            break;
+          case 7: // Autowrap mode (DECAWM)
+            this.autowrap = true;
+            break;
+          case 69: // Left/right margin mode (DECLRMM)
+            this.leftRightMarginMode = true;
+            break;
           case 25: // Show cursor
             this.cursorVisible = true;
             break;
-          case 1049: // Enable alternative screen buffer
+          case 47: // Use alternate screen buffer
+            this.enableAltScreen();
+            break;
+          case 1047: // Use alternate screen buffer, cleared when leaving it
             this.enableAltScreen();
             break;
+          case 1048: // Save cursor as in DECSC
+            this.saveCursor();
+            break;
+          case 1049: // Save cursor, switch to a cleared alternate screen buffer
+            this.saveCursor();
+            this.enableAltScreen();
+            this.eraseScreen();
+            break;
+          case 2026: // Synchronized update - hold frames until the update is complete
+            if (this.frameListeners.size > 0) { // Nothing to hold back without frame listeners
+              this.frameScheduler.hold();
+            }
+            break;
         }
       }
     }
@@ -563,50 +1654,156 @@ class VirtualTerminal {
   
   resetMode(params, intermediate) {
     for (const param of params) {
+      this.modes.set(`${intermediate}${param}`, false);
       if (intermediate === '?') { // DEC private modes
         switch (param) {
+          case 6: // Absolute cursor addressing
+            this.originMode = false;
+            this.setCursorPosition(1, 1);
+            break;
+          case 7: // No autowrap
+            this.autowrap = false;
+            this.wrapPending = false;
+            break;
+          case 69: // Disable left/right margins
+            this.leftRightMarginMode = false;
+            this.margins = { left: 0, right: this.cols - 1 };
+            break;
           case 25: // Hide cursor
             this.cursorVisible = false;
             break;
-          case 1049: // Disable alternative screen buffer
+          case 47: // Use normal screen buffer
+            this.disableAltScreen();
+            break;
+          case 1047: // Clear the alternate screen, then use normal screen buffer
+            if (this.isAltScreen) {
+              this.eraseScreen();
+            }
+            this.disableAltScreen();
+            break;
+          case 1048: // Restore cursor as in DECRC
+            this.restoreCursor();
+            break;
+          case 1049: // Use normal screen buffer and restore cursor
             this.disableAltScreen();
+            this.restoreCursor();
+            break;
+          case 2026: // End of synchronized update
+            this.frameScheduler.release();
             break;
         }
       }
     }
   }
   
+  // Mode state for DECRQM: true (set), false (reset) or null (not recognized)
+  getModeState(mode, isPrivate) {
+    if (isPrivate) {
+      switch (mode) {
+        case 6:
+          return this.originMode;
+        case 7:
+          return this.autowrap;
+        case 69:
+          return this.leftRightMarginMode;
+        case 25:
+          return this.cursorVisible;
+        case 47:
+        case 1047:
+        case 1049:
+          return this.isAltScreen;
+        case 2026:
+          return this.frameScheduler.held;
+      }
+    }
+    const key = `${isPrivate ? '?' : ''}${mode}`;
+    return this.modes.has(key) ? this.modes.get(key) : null;
+  }
+  
+  isModeSet(mode, isPrivate = true) {
+    return this.getModeState(mode, isPrivate) === true;
+  }
+  
+  // Text to write to the PTY for pasting: wrapped in ESC[200~ ... ESC[201~ when the
+  // program enabled bracketed paste (ESC[?2004h), otherwise with line breaks sent as CR
+  // like a terminal does. An end marker inside the text can't end the paste early.
+  encodePaste(text) {
+    const normalized = text.replace(/\r?\n/g, '\r');
+    if (this.isModeSet(2004)) {
+      return `\x1B[200~${normalized.replace(/\x1B\[20[01]~/g, '')}\x1B[201~`;
+    }
+    return normalized;
+  }
+  
+  // Query responses
+  reportDeviceAttributes(params, intermediate) {
+    if ((params[0] || 0) !== 0) {
+      return;
+    }
+    if (intermediate === '') { // Primary DA: VT220 with ANSI color
+      this.respond('\x1B[?62;22c');
+    } else if (intermediate === '>') { // Secondary DA: terminal type, version, ROM cartridge
+      this.respond('\x1B[>1;10;0c');
+    }
+  }
+  
+  reportDeviceStatus(request, intermediate) {
+    if (request === 5 && intermediate === '') { // Operating status: OK
+      this.respond('\x1B[0n');
+    } else if (request === 6) { // Cursor position report
+      const { row, col } = this.getReportedCursorPosition();
+      this.respond(intermediate === '?' ? `\x1B[?${row};${col};1R` : `\x1B[${row};${col}R`);
+    }
+  }
+  
+  reportMode(mode, isPrivate) {
+    const state = this.getModeState(mode, isPrivate);
+    const value = state === null ? 0 : state ? 1 : 2;
+    this.respond(`\x1B[${isPrivate ? '?' : ''}${mode};${value}$y`);
+  }
+  
   // Alternative screen buffer
+  //
+  // Switching only changes the active screen: each screen keeps its own buffer,
+  // cursor, saved cursor and scroll region, so the main screen is restored as it was.
   enableAltScreen() {
-    if (!this.isAltScreen) {
-      // Save current buffer and cursor position
-      this.altScreenBuffer = {
-        buffer: this.buffer.map(row => row.map(cell => ({ ...cell }))),
-        cursor: { ...this.cursor }
-      };
-      this.isAltScreen = true;
-      this.clearScreen();
-    }
+    this.screen = this.screens.alt;
+    this.wrapPending = false;
+    this.markAllDirty();
   }
   
   disableAltScreen() {
-    if (this.isAltScreen && this.altScreenBuffer) {
-      this.buffer = this.altScreenBuffer.buffer;
-      this.cursor = this.altScreenBuffer.cursor;
-      this.altScreenBuffer = null;
-      this.isAltScreen = false;
-    }
+    this.screen = this.screens.main;
+    this.wrapPending = false;
+    this.markAllDirty();
   }
   
-  reset() {
+  // Blank the whole screen with the current attributes, keeping the cursor
+  eraseScreen() {
     this.buffer = this.createEmptyBuffer();
-    this.cursor = { x: 0, y: 0 };
-    this.savedCursor = { x: 0, y: 0 };
-    this.scrollRegion = { top: 0, bottom: this.rows - 1 };
-    this.currentAttr = { fg: 'white', bg: 'black', bold: false, underline: false, reverse: false };
+  }
+  
+  reset() {
+    this.currentAttr = createDefaultAttr();
+    for (const screen of Object.values(this.screens)) {
+      Object.assign(screen, this.createScreen(screen.scrollback));
+    }
+    this.screen = this.screens.main;
+    this.markAllDirty();
+    this.margins = { left: 0, right: this.cols - 1 };
+    this.leftRightMarginMode = false;
+    this.originMode = false;
+    this.currentAttr = createDefaultAttr();
     this.cursorVisible = true;
-    this.isAltScreen = false;
-    this.altScreenBuffer = null;
+    this.wrapPending = false;
+    this.autowrap = true;
+    this.lastPrintedChar = null;
+    this.tabStops = this.createDefaultTabStops();
+    this.charset = createDefaultCharsetState();
+    this.hyperlink = null;
+    this.commandRunning = false;
+    this.modes.clear();
+    this.frameScheduler.release();
   }
   
   // Output methods
@@ -616,6 +1813,25 @@ class VirtualTerminal {
     ).join('\n');
   }
   
+  // The screen as a <pre> block with a span per run of equally styled cells.
+  // options.classes uses CSS classes (stylesheet from terminalStylesheet() in
+  // html-encoder.js) instead of inline styles; options.cursor (default true) marks the
+  // cursor cell; options.scrollback puts the history above the screen.
+  toHTML({ classes = false, classPrefix = 'term', cursor = true, scrollback = false } = {}) {
+    const history = scrollback ? this.getScrollbackLines() : [];
+    const showCursor = cursor && this.cursorVisible;
+    const lines = encodeHtmlRows([...history, ...this.buffer], {
+      cursor: showCursor ? { x: this.cursor.x, y: this.cursor.y + history.length } : null,
+      classes,
+      classPrefix
+    });
+
+    const style = classes
+      ? ''
+      : ` style="color:${colorToHex(DEFAULT_COLOR)};background-color:${colorToHex(DEFAULT_COLOR, true)};font-family:monospace"`;
+    return `<pre class="${classPrefix}"${style}>${lines.join('\n')}</pre>`;
+  }
+  
   toStringWithAttributes() {
     // For debugging - shows attributes
     return this.buffer.map(row => 
@@ -626,6 +1842,119 @@ class VirtualTerminal {
   getScreenText() {
     return this.toString();
   }
+
+  // Escape sequences that redraw the screen on another terminal of the same size,
+  // starting with a reset of SGR, scroll region, character set and screen. Links are
+  // written as OSC 8. Unless options.state is false the cursor, SGR, scroll region,
+  // margins, character sets, tab stops and modes are restored too, so the PTY stream can
+  // continue from there. When the alternate screen is active the main screen is drawn
+  // first and then switched away from with ?1049h.
+  toAnsi({ state = true } = {}) {
+    const defaultAttr = createDefaultAttr();
+    let output = '\x1B[0m\x1B[r\x1B(B\x0F\x1B[H\x1B[2J';
+    let attr = defaultAttr;
+
+    const drawScreen = (screen) => {
+      const encoded = encodeRows(screen.buffer, attr);
+      output += encoded.output;
+      attr = encoded.attr;
+    };
+
+    if (this.isAltScreen) {
+      drawScreen(this.screens.main);
+      // ?1049h saves the cursor that ?1049l will restore
+      const { x, y } = this.screens.main.savedCursor;
+      output += linkTransition(attr.link, null) + sgrTransition(attr, defaultAttr);
+      output += `\x1B[${y + 1};${x + 1}H\x1B[?1049h\x1B[H`;
+      attr = defaultAttr;
+    }
+    drawScreen(this.screen);
+
+    if (!state) {
+      return output + linkTransition(attr.link, null) + sgrTransition(attr, defaultAttr);
+    }
+
+    if (!this.autowrap) {
+      output += '\x1B[?7l';
+    }
+
+    const tabStops = [...this.tabStops].sort((a, b) => a - b);
+    const defaultTabStops = [...this.createDefaultTabStops()];
+    if (tabStops.join() !== defaultTabStops.join()) {
+      output += '\x1B[3g' + tabStops.map(x => `\x1B[1;${x + 1}H\x1BH`).join('');
+    }
+
+    const { top, bottom } = this.scrollRegion;
+    if (top !== 0 || bottom !== this.rows - 1) {
+      output += `\x1B[${top + 1};${bottom + 1}r`;
+    }
+    if (this.leftRightMarginMode) {
+      output += `\x1B[?69h\x1B[${this.margins.left + 1};${this.margins.right + 1}s`;
+    }
+    if (this.originMode) {
+      output += '\x1B[?6h';
+    }
+
+    // A pending wrap is recreated by printing the last column again
+    const { row, col } = this.getReportedCursorPosition();
+    if (this.wrapPending) {
+      const cells = this.buffer[this.cursor.y];
+      const x = cells[this.cursor.x].width === 0 ? this.cursor.x - 1 : this.cursor.x;
+      output += `\x1B[${row};${col - (this.cursor.x - x)}H`;
+      output += sgrTransition(attr, cells[x].attr) + cells[x].char;
+      attr = cells[x].attr;
+    } else {
+      output += `\x1B[${row};${col}H`;
+    }
+    output += linkTransition(attr.link, this.hyperlink) + sgrTransition(attr, this.currentAttr);
+
+    this.charset.designations.forEach((designation, index) => {
+      if (designation !== 'B') {
+        output += `\x1B${'()*+'[index]}${designation}`;
+      }
+    });
+    if (this.charset.active === 1) {
+      output += '\x0E';
+    }
+
+    if (!this.cursorVisible) {
+      output += '\x1B[?25l';
+    }
+
+    // Other modes the application turned on, e.g. application cursor keys or bracketed paste
+    for (const [key, value] of this.modes) {
+      if (value && !STATE_MODES.has(key)) {
+        output += key.startsWith('?') ? `\x1B[?${key.slice(1)}h` : `\x1B[${key}h`;
+      }
+    }
+
+    return output;
+  }
+
+  // Scrollback history
+  getActiveScrollback() {
+    return this.screen.scrollback;
+  }
+  
+  getScrollbackLength() {
+    return this.getActiveScrollback().length;
+  }
+  
+  // History lines with attributes, index 0 being the oldest line kept
+  getScrollbackLines(start = 0, end = this.getScrollbackLength()) {
+    return this.getActiveScrollback().getRange(start, end)
+      .map(row => row.map(cell => ({ char: cell.char, attr: { ...cell.attr } })));
+  }
+  
+  getScrollbackText(start = 0, end = this.getScrollbackLength()) {
+    return this.getActiveScrollback().getRange(start, end)
+      .map(row => row.map(cell => cell.char).join(''))
+      .join('\n');
+  }
+  
+  clearScrollback() {
+    this.getActiveScrollback().clear();
+  }
   
   // Verbose mode utilities
   setVerbose(enabled) {
@@ -687,6 +2016,141 @@ class VirtualTerminal {
     }
   }
   
+  // Frame subscription system
+  // Frames coalesce screen changes (see FrameScheduler) so consumers can redraw at a
+  // steady pace instead of on every write
+  onFrame(callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+    this.frameListeners.add(callback);
+    
+    // Return unsubscribe function
+    return () => {
+      this.offFrame(callback);
+    };
+  }
+  
+  offFrame(callback) {
+    this.frameListeners.delete(callback);
+    if (this.frameListeners.size === 0) {
+      this.frameScheduler.cancel();
+    }
+  }
+  
+  notifyFrameListeners(frame) {
+    const frameData = {
+      ...frame,
+      cursorPosition: this.getCursorPosition(),
+      screenText: this.toString()
+    };
+    for (const listener of this.frameListeners) {
+      try {
+        listener(frameData);
+      } catch (error) {
+        console.error('Error in frame listener:', error);
+      }
+    }
+  }
+  
+  // Emit the pending frame immediately
+  flushFrame() {
+    this.frameScheduler.flush();
+  }
+  
+  // Schedule a frame without a screen change, for state shown next to the screen (e.g.
+  // the title); it is coalesced with the screen changes around it
+  requestFrame() {
+    if (this.frameListeners.size > 0) {
+      this.frameScheduler.schedule({ changedRows: [] });
+    }
+  }
+  
+  setFrameTiming({ minInterval, maxLatency } = {}) {
+    if (minInterval !== undefined) {
+      this.frameScheduler.minInterval = minInterval;
+    }
+    if (maxLatency !== undefined) {
+      this.frameScheduler.maxLatency = maxLatency;
+    }
+  }
+  
+  // Output subscription system - data the terminal sends back to the application
+  onOutput(callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+    this.outputListeners.add(callback);
+    
+    // Return unsubscribe function
+    return () => {
+      this.outputListeners.delete(callback);
+    };
+  }
+  
+  offOutput(callback) {
+    this.outputListeners.delete(callback);
+  }
+  
+  respond(data) {
+    if (this.debug) {
+      console.log('VirtualTerminal.respond:', JSON.stringify(data));
+    }
+    for (const listener of this.outputListeners) {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error('Error in output listener:', error);
+      }
+    }
+  }
+  
+  // Terminal events: 'title', 'iconName' and 'cwd' with the new value, 'clipboard' with
+  // { selection, text }
+  on(event, callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+    
+    // Return unsubscribe function
+    return () => this.off(event, callback);
+  }
+  
+  off(event, callback) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.delete(callback);
+      if (listeners.size === 0) {
+        this.eventListeners.delete(event);
+      }
+    }
+  }
+  
+  emit(event, data) {
+    if (this.debug) {
+      console.log(`VirtualTerminal event ${event}:`, JSON.stringify(data));
+    }
+    for (const listener of this.eventListeners.get(event) || []) {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error(`Error in ${event} listener:`, error);
+      }
+    }
+  }
+  
+  // Set a property and emit the event of the same name when its value changed
+  updateProperty(name, value) {
+    if (this[name] !== value) {
+      this[name] = value;
+      this.emit(name, value);
+    }
+  }
+  
   // Check if screen has changed since last check and reset flag
   hasChangedSinceLastRead() {
     const changed = this.hasChangedSinceLastCheck;
@@ -696,13 +2160,16 @@ class VirtualTerminal {
   
   // Get current screen content hash for comparison
   getScreenHash() {
-    // Simple hash function for screen content
-    const screen = this.toString();
+    // Simple hash function over the row texts kept by change detection
     let hash = 0;
-    for (let i = 0; i < screen.length; i++) {
-      const char = screen.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+    for (const text of this.rowTexts) {
+      for (let i = 0; i < text.length; i++) {
+        const char = text.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash; // Convert to 32-bit integer
+      }
+      hash = ((hash << 5) - hash) + 10; // Row separator
+      hash = hash & hash;
     }
     return hash;
   }
@@ -713,34 +2180,305 @@ class VirtualTerminal {
     this.lastScreenHash = this.getScreenHash();
   }
   
+  // Snapshots
+  //
+  // serialize() captures the screens, scrollback, cursor, modes and attributes as a
+  // versioned JSON-compatible object. Listeners, registered handlers and an unfinished
+  // escape sequence are not part of it.
+  serialize() {
+    const attrs = new AttributeTable(createDefaultAttr());
+    const serializeScreen = (screen) => ({
+      buffer: attrs.encodeRows(screen.buffer),
+      cursor: { ...screen.cursor },
+      savedCursor: JSON.parse(JSON.stringify(screen.savedCursor)),
+      scrollRegion: { ...screen.scrollRegion },
+      scrollback: attrs.encodeRows(screen.scrollback.getRange())
+    });
+    const screens = {
+      main: serializeScreen(this.screens.main),
+      alt: serializeScreen(this.screens.alt)
+    };
+    
+    return {
+      version: SNAPSHOT_VERSION,
+      cols: this.cols,
+      rows: this.rows,
+      options: {
+        scrollback: this.screens.main.scrollback.maxLines,
+        altScrollback: this.screens.alt.scrollback.maxLines,
+        scrollbackMaxBytes: this.screens.main.scrollback.maxBytes,
+        frameInterval: this.frameScheduler.minInterval,
+        frameMaxLatency: this.frameScheduler.maxLatency,
+        syncUpdateTimeout: this.frameScheduler.syncTimeout
+      },
+      attrs: attrs.list,
+      screens,
+      activeScreen: this.isAltScreen ? 'alt' : 'main',
+      currentAttr: { ...this.currentAttr },
+      cursorVisible: this.cursorVisible,
+      wrapPending: this.wrapPending,
+      autowrap: this.autowrap,
+      lastPrintedChar: this.lastPrintedChar,
+      tabStops: [...this.tabStops].sort((a, b) => a - b),
+      charset: { designations: [...this.charset.designations], active: this.charset.active },
+      margins: { ...this.margins },
+      leftRightMarginMode: this.leftRightMarginMode,
+      originMode: this.originMode,
+      modes: [...this.modes],
+      title: this.title,
+      iconName: this.iconName,
+      cwd: this.cwd,
+      hyperlink: this.hyperlink,
+      shellIntegration: this.shellIntegration,
+      commandRunning: this.commandRunning,
+      frameCounter: this.frameCounter
+    };
+  }
+  
+  // Snapshot as gzip-compressed JSON
+  serializeBinary() {
+    return snapshotToBinary(this.serialize());
+  }
+  
+  // Create a terminal from a snapshot object, its JSON text or its binary form
+  static deserialize(input) {
+    const snapshot = parseSnapshot(input);
+    const terminal = new VirtualTerminal(snapshot.cols, snapshot.rows, snapshot.options);
+    terminal.restoreSnapshot(snapshot);
+    return terminal;
+  }
+  
+  restoreSnapshot(snapshot) {
+    for (const name of ['main', 'alt']) {
+      const screen = this.screens[name];
+      const data = snapshot.screens[name];
+      screen.buffer = decodeRows(data.buffer, snapshot.attrs, this.cols);
+      screen.cursor = { ...data.cursor };
+      screen.savedCursor = JSON.parse(JSON.stringify(data.savedCursor));
+      screen.scrollRegion = { ...data.scrollRegion };
+      screen.scrollback.clear();
+      for (const row of decodeRows(data.scrollback, snapshot.attrs, this.cols)) {
+        screen.scrollback.push(row);
+      }
+    }
+    this.screen = this.screens[snapshot.activeScreen];
+    
+    this.currentAttr = { ...createDefaultAttr(), ...snapshot.currentAttr };
+    this.cursorVisible = snapshot.cursorVisible;
+    this.wrapPending = snapshot.wrapPending;
+    this.autowrap = snapshot.autowrap;
+    this.lastPrintedChar = snapshot.lastPrintedChar;
+    this.tabStops = new Set(snapshot.tabStops);
+    this.charset = { designations: [...snapshot.charset.designations], active: snapshot.charset.active };
+    this.margins = { ...snapshot.margins };
+    this.leftRightMarginMode = snapshot.leftRightMarginMode;
+    this.originMode = snapshot.originMode;
+    this.modes = new Map(snapshot.modes);
+    this.title = snapshot.title ?? '';
+    this.iconName = snapshot.iconName ?? '';
+    this.cwd = snapshot.cwd ?? null;
+    this.hyperlink = snapshot.hyperlink ?? null;
+    this.shellIntegration = snapshot.shellIntegration ?? false;
+    this.commandRunning = snapshot.commandRunning ?? false;
+    this.frameCounter = snapshot.frameCounter;
+    
+    // The restored screen is the baseline for change detection
+    this.rowTexts = this.buffer.map(row => this.getRowText(row));
+    this.dirtyRows.clear();
+    this.allDirty = false;
+  }
+  
   getCursorPosition() {
     return { ...this.cursor };
   }
   
   resize(newCols, newRows) {
-    const oldBuffer = this.buffer;
     const oldCols = this.cols;
     const oldRows = this.rows;
     
     this.cols = newCols;
     this.rows = newRows;
-    this.buffer = this.createEmptyBuffer();
+    
+    // The main screen reflows soft-wrapped lines, the alternate screen is redrawn
+    // by its application anyway and is only cropped or padded
+    const wrapPending = this.reflowScreen(this.screens.main, this.wrapPending && !this.isAltScreen);
+    this.resizeScreen(this.screens.alt, oldCols, oldRows);
+    
+    this.wrapPending = wrapPending && !this.isAltScreen;
+    this.markAllDirty();
+    this.margins = { left: 0, right: newCols - 1 };
+    this.tabStops = this.createDefaultTabStops();
+  }
+  
+  resizeScreen(screen, oldCols, oldRows) {
+    const oldBuffer = screen.buffer;
+    screen.buffer = this.createEmptyBuffer();
     
     // Copy old content
-    const copyRows = Math.min(oldRows, newRows);
+    const copyRows = Math.min(oldRows, this.rows);
+    const copyCols = Math.min(oldCols, this.cols);
     for (let y = 0; y < copyRows; y++) {
-      const copyCols = Math.min(oldCols, newCols);
       for (let x = 0; x < copyCols; x++) {
-        this.buffer[y][x] = { ...oldBuffer[y][x] };
+        screen.buffer[y][x] = { ...oldBuffer[y][x] };
       }
     }
     
-    // Adjust cursor position
-    this.cursor.x = Math.min(this.cursor.x, newCols - 1);
-    this.cursor.y = Math.min(this.cursor.y, newRows - 1);
+    // Adjust cursor position and reset the scroll region to the new size
+    screen.cursor.x = Math.min(screen.cursor.x, this.cols - 1);
+    screen.cursor.y = Math.min(screen.cursor.y, this.rows - 1);
+    screen.scrollRegion = { top: 0, bottom: this.rows - 1 };
+  }
+  
+  // Reflow a screen and its scrollback to the current size: rows joined by autowrap
+  // form one logical line that is split again at the new width. The cursor and the saved
+  // cursor keep their place in the text and the first line of the screen stays on top
+  // when possible.
+  // Returns whether the cursor ends up with a pending wrap.
+  reflowScreen(screen, wrapPending = false) {
+    const history = screen.scrollback.getRange();
+    const oldLines = [...history, ...screen.buffer];
+    const oldCursorLine = history.length + screen.cursor.y;
+    const oldSavedLine = history.length + screen.savedCursor.y;
+    const oldTopLine = history.length;
+    
+    const lines = [];
+    let cursor = { x: 0, y: 0 };
+    let cursorWrapPending = false;
+    let savedCursor = null;
+    let topLine = 0;
+    let lastContentLine = 0;
     
-    // Adjust scroll region
-    this.scrollRegion.bottom = Math.min(this.scrollRegion.bottom, newRows - 1);
+    for (let start = 0; start < oldLines.length;) {
+      let end = start;
+      while (end < oldLines.length - 1 && oldLines[end].wrapped) {
+        end++;
+      }
+      
+      // Offsets of the cursor and the screen top within the logical line
+      const cells = [];
+      let cursorOffset = -1;
+      let savedOffset = -1;
+      let topOffset = -1;
+      const marks = [];
+      for (let i = start; i <= end; i++) {
+        if (i === oldCursorLine) {
+          // A pending wrap means the cursor is logically after the last column
+          cursorOffset = cells.length + Math.min(screen.cursor.x, oldLines[i].length - 1) + (wrapPending ? 1 : 0);
+        }
+        if (i === oldSavedLine) {
+          savedOffset = cells.length + Math.min(screen.savedCursor.x, oldLines[i].length - 1) +
+            (screen.savedCursor.wrapPending ? 1 : 0);
+        }
+        if (i === oldTopLine) {
+          topOffset = cells.length;
+        }
+        const row = oldLines[i];
+        for (const mark of row.marks || []) {
+          marks.push({ mark, offset: cells.length + Math.min(mark.x, row.length) });
+        }
+        cells.push(...(i < end && row.wrapPadding ? row.slice(0, -1) : row));
+      }
+      
+      let length = cells.length;
+      while (length > 0 && this.isBlankCell(cells[length - 1])) {
+        length--;
+      }
+      const { rows, positions } = this.splitLine(cells.slice(0, length));
+      // Row and column of an offset; offsets past the text continue the last row
+      const place = (offset) => (offset < length
+        ? positions[offset]
+        : { y: rows.length - 1, x: positions.end + offset - length });
+      
+      if (cursorOffset >= 0) {
+        const position = place(cursorOffset);
+        cursorWrapPending = wrapPending && position.x >= this.cols;
+        cursor = { x: Math.min(this.cols - 1, position.x), y: lines.length + position.y };
+      }
+      if (savedOffset >= 0) {
+        const position = place(savedOffset);
+        savedCursor = {
+          x: Math.min(this.cols - 1, position.x),
+          y: lines.length + position.y,
+          wrapPending: Boolean(screen.savedCursor.wrapPending) && position.x >= this.cols
+        };
+      }
+      for (const { mark, offset } of marks) {
+        const position = place(offset);
+        const row = rows[position.y];
+        row.marks = [...(row.marks || []), { ...mark, x: Math.min(this.cols, position.x) }];
+      }
+      if (topOffset >= 0) {
+        topLine = lines.length + (topOffset < length ? positions[topOffset].y : rows.length - 1);
+      }
+      if (length > 0) {
+        lastContentLine = lines.length + rows.length - 1;
+      }
+      
+      lines.push(...rows);
+      start = end + 1;
+    }
+    
+    // Drop blank rows below the content and the cursors, then fit the cursor on screen
+    lines.length = Math.max(lastContentLine, cursor.y, savedCursor ? savedCursor.y : 0) + 1;
+    if (lines.length - topLine > this.rows) {
+      topLine = Math.min(lines.length - this.rows, cursor.y);
+    }
+    
+    screen.scrollback.clear();
+    for (const row of lines.slice(0, topLine)) {
+      screen.scrollback.push(row);
+    }
+    screen.buffer = lines.slice(topLine, topLine + this.rows);
+    while (screen.buffer.length < this.rows) {
+      screen.buffer.push(this.createBlankRow());
+    }
+    screen.cursor = { x: cursor.x, y: cursor.y - topLine };
+    if (savedCursor) {
+      // A saved cursor whose line went into the scrollback stays on the top row
+      screen.savedCursor = {
+        ...screen.savedCursor,
+        x: savedCursor.x,
+        y: Math.min(this.rows - 1, Math.max(0, savedCursor.y - topLine)),
+        wrapPending: savedCursor.wrapPending
+      };
+    }
+    screen.scrollRegion = { top: 0, bottom: this.rows - 1 };
+    return cursorWrapPending;
+  }
+  
+  // Split the cells of a logical line into rows of the current width. A wide character
+  // that does not fit in the last column moves to the next row, as when printing.
+  // Returns the rows and the row/column each cell ended up in.
+  splitLine(cells) {
+    const rows = [[]];
+    const positions = [];
+    
+    for (const cell of cells) {
+      let row = rows[rows.length - 1];
+      const width = cell.width === 2 ? 2 : 1;
+      if (cell.width !== 0 && row.length + width > this.cols) {
+        row.wrapPadding = row.length < this.cols;
+        while (row.length < this.cols) {
+          row.push({ char: ' ', attr: createDefaultAttr() });
+        }
+        row.wrapped = true;
+        row = [];
+        rows.push(row);
+      }
+      positions.push({ y: rows.length - 1, x: row.length });
+      row.push({ ...cell });
+    }
+    
+    positions.end = rows[rows.length - 1].length;
+    const last = rows[rows.length - 1];
+    while (last.length < this.cols) {
+      last.push({ char: ' ', attr: createDefaultAttr() });
+    }
+    return { rows, positions };
+  }
+  
+  isBlankCell(cell) {
+    return cell.char === ' ' && cell.attr.bg === DEFAULT_COLOR && !cell.attr.reverse;
   }
 }
 
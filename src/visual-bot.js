@@ -1,4 +1,4 @@
-import { Bot, InlineKeyboard } from "grammy";
+import { Bot, InlineKeyboard, InputFile } from "grammy";
 import * as pty from "node-pty";
 import { config } from "dotenv";
 import pino from "pino";
@@ -6,6 +6,7 @@ import { createWriteStream } from "fs";
 import GIFEncoder from "gifencoder";
 import { createCanvas } from "canvas";
 import { Readable } from "stream";
+import VirtualTerminal from "./virtual-terminal.js";
 
 config();
 
@@ -72,6 +73,13 @@ logger.info({
   shell: SHELL
 }, 'Bot configuration loaded');
 
+// Output stopping inside an escape sequence holds back screen changes; after this many
+// milliseconds without output they are reported anyway
+const STALLED_SEQUENCE_TIMEOUT = 1000;
+
+// Telegram message length limit; longer clipboard text is sent as a document
+const MAX_MESSAGE_LENGTH = 4096;
+
 // Store terminal sessions per user
 const userSessions = new Map();
 
@@ -160,6 +168,21 @@ function formatTerminalOutput(output, cols, rows) {
   return displayLines.join('\n');
 }
 
+// Helper function to deliver text a terminal program copied (OSC 52): a message with the
+// text as a code block (one tap copies it), or a document when it doesn't fit
+async function sendClipboard(ctx, text) {
+  const header = '📋 Copied in terminal:\n';
+  if (header.length + text.length <= MAX_MESSAGE_LENGTH) {
+    await ctx.reply(header + text, {
+      entities: [{ type: 'pre', offset: header.length, length: text.length }]
+    });
+  } else {
+    await ctx.replyWithDocument(new InputFile(Buffer.from(text, 'utf8'), 'clipboard.txt'), {
+      caption: '📋 Copied in terminal'
+    });
+  }
+}
+
 // Helper function to parse command input
 function parseCommandInput(text) {
   logger.debug({ originalText: text }, 'Parsing command input');
@@ -247,9 +270,38 @@ bot.command("start", async (ctx) => {
     
     let output = '';
     let messageId = null;
-    let updateTimeout = null;
     let lastMessageContent = '';
     
+    // Virtual terminal answers terminal queries (cursor position, device attributes)
+    // that programs like fish and vim wait for
+    const virtualTerminal = new VirtualTerminal(cols, rows);
+    const unsubscribeFromOutput = virtualTerminal.onOutput((response) => {
+      logger.debug({ userId, response }, 'Terminal query response');
+      terminal.write(response);
+    });
+    
+    // Forward text copied by terminal programs (vim, tmux) via OSC 52 and keep it for /paste
+    const unsubscribeFromClipboard = virtualTerminal.on('clipboard', ({ selection, text }) => {
+      logger.info({ userId, selection, length: text.length }, 'Terminal program set the clipboard');
+      if (!text) {
+        return;
+      }
+      if (userSessions.has(userId)) {
+        userSessions.get(userId).clipboard = text;
+      }
+      sendClipboard(ctx, text).catch((error) => {
+        logger.warn({ userId, error: error.message }, 'Failed to send clipboard text');
+      });
+    });
+    
+    // Update the message once per terminal frame (changes coalesced and throttled)
+    const unsubscribeFromFrames = virtualTerminal.onFrame((frame) => {
+      logger.debug({ userId, frameNumber: frame.frameNumber, changeCount: frame.changeCount }, 'Terminal frame ready');
+      updateTerminalMessage();
+    });
+    
+    // Report changes held back by an unfinished escape sequence once output goes quiet
+    let flushTimer = null;
     terminal.onData((data) => {
       logger.debug({ 
         userId, 
@@ -258,23 +310,18 @@ bot.command("start", async (ctx) => {
         totalOutputLength: output.length + data.length
       }, 'Terminal data received');
       output += data;
+      virtualTerminal.write(data);
       
-      if (updateTimeout) {
-        clearTimeout(updateTimeout);
-        logger.debug({ userId }, 'Clearing previous update timeout');
-      }
-      updateTimeout = setTimeout(() => {
-        logger.debug({ userId }, 'Debounced update timeout triggered');
-        updateTerminalMessage();
-      }, 150);
-      logger.debug({ userId }, 'Set new update timeout for 150ms');
+      clearTimeout(flushTimer);
+      flushTimer = setTimeout(() => virtualTerminal.flush(), STALLED_SEQUENCE_TIMEOUT);
     });
     
     terminal.onExit((exitCode, signal) => {
       logger.info({ userId, exitCode, signal }, 'Terminal session ended');
-      if (updateTimeout) {
-        clearTimeout(updateTimeout);
-      }
+      unsubscribeFromFrames();
+      unsubscribeFromOutput();
+      unsubscribeFromClipboard();
+      clearTimeout(flushTimer);
       userSessions.delete(userId);
       ctx.reply("🔴 Terminal session ended.");
     });
@@ -362,11 +409,13 @@ ${formattedOutput}
     
     userSessions.set(userId, {
       terminal,
+      virtualTerminal,
       output,
       messageId,
       updateTerminalMessage,
       cols,
-      rows
+      rows,
+      clipboard: null
     });
     
     logger.info({ userId, aspectRatio: name, dimensions: `${cols}x${rows}` }, 'Terminal session created and stored');
@@ -400,6 +449,32 @@ ${initialOutput}
   }
 });
 
+// Paste command handler - registered before the text handler, which would otherwise
+// take the message as a terminal command
+bot.command("paste", async (ctx) => {
+  const userId = ctx.from.id;
+  const session = userSessions.get(userId);
+  
+  logger.info({ userId }, 'Paste command received');
+  
+  if (!session) {
+    logger.warn({ userId }, 'Paste command called but no active session');
+    return ctx.reply("❌ No active terminal session. Use /start to begin.");
+  }
+  
+  // "/paste <text>" pastes the given text, "/paste" the last text copied in the terminal
+  const text = ctx.match || session.clipboard;
+  if (!text) {
+    await ctx.reply("📋 Nothing to paste. Copy text in the terminal or send `/paste <text>`.", { parse_mode: 'Markdown' });
+    return;
+  }
+  session.clipboard = text;
+  
+  // Bracketed paste when the program asked for it, so editors and shells don't run it line by line
+  session.terminal.write(session.virtualTerminal.encodePaste(text));
+  logger.debug({ userId, length: text.length, bracketed: session.virtualTerminal.isModeSet(2004) }, 'Pasted text into terminal');
+});
+
 // Handle all text messages as terminal commands
 bot.on("message:text", async (ctx) => {
   const userId = ctx.from.id;
@@ -554,6 +629,8 @@ bot.command("help", async (ctx) => {
 • \`/start\` - Start terminal session
 • \`/stop\` - Stop current terminal session
 • \`/restart\` - Restart terminal session
+• \`/paste\` - Paste the text last copied in the terminal (OSC 52)
+• \`/paste <text>\` - Paste text into the terminal
 • \`/help\` - Show this help message
 
 **Control Sequences:**